@@ -1,16 +1,51 @@
-import { AbstractModule, App } from 'adapt-authoring-core'
+import { AbstractModule, App, Hook } from 'adapt-authoring-core'
 import axios from 'axios'
 import bodyParser from 'body-parser'
 import bytes from 'bytes'
 import compression from 'compression'
-import { createWriteStream } from 'fs'
+import { parse as parseCookies } from 'cookie'
+import { createHash, randomBytes, randomUUID } from 'crypto'
+import { createReadStream, createWriteStream } from 'fs'
+import dns from 'dns'
+import { fileTypeFromFile } from 'file-type'
 import formidable from 'formidable'
 import fs from 'fs/promises'
 import path from 'path'
 import helmet from 'helmet'
-import { RateLimiterMongo } from 'rate-limiter-flexible'
+import { Counter, Histogram, Registry } from 'prom-client'
+import { RateLimiterMemory, RateLimiterMongo } from 'rate-limiter-flexible'
+import { Readable } from 'stream'
+import { parse as parseYaml } from 'yaml'
+import { pipeline } from 'stream/promises'
+import { promisify } from 'util'
+import zlib from 'zlib'
 import { unzip } from 'zipper'
-import { validateUploadedFiles } from './utils/validateUploadedFiles.js'
+import {
+  checkZipEntries,
+  createSizeLimiter,
+  decodeBase64Upload,
+  exceedsDepth,
+  filterLangPhrases,
+  getLanguageName,
+  getLocaleFallbacks,
+  getUploadFileName,
+  getUrlBlockReason,
+  isPrivateAddress,
+  matchOrigin,
+  parseCspReports,
+  parseUploadMetadata,
+  readFileMetadata,
+  readZipEntries,
+  redactFields,
+  removeExpiredFiles,
+  resolveContentTypes,
+  resolveMaxUploadSize,
+  resolveRateLimitRule,
+  resolveRateLimitTier,
+  resolveRouteOptions,
+  sortMiddleware,
+  validateUploadedFiles
+} from './utils.js'
 /**
  * Adds useful Express middleware to the server stack
  * @memberof middleware
@@ -28,142 +63,1965 @@ class MiddlewareModule extends AbstractModule {
     return this.zipTypes.includes(mimeType)
   }
 
+  get yamlTypes () {
+    return [
+      'application/yaml',
+      'application/x-yaml',
+      'text/yaml',
+      'text/x-yaml'
+    ]
+  }
+
   /** @override */
   async init () {
+    /**
+     * Hook invoked when a client's rate limit points are reset
+     * @type {Hook}
+     */
+    this.rateLimitResetHook = new Hook()
+    /**
+     * Hook invoked when a client is blocked by the rate limiter
+     * @type {Hook}
+     */
+    this.rateLimitBlockHook = new Hook()
+    /**
+     * Route rules registered by other modules, keyed by the config option which holds the same kind of rule
+     * @type {{ bodyParserRoutes: Array<BodyParserRule>, contentTypeRoutes: Array<ContentTypeRule>, corsRoutes: Array<CorsRule> }}
+     */
+    this.routeRules = { bodyParserRoutes: [], contentTypeRoutes: [], corsRoutes: [] }
+    /**
+     * Additional validators which can be run against uploaded files, keyed by name
+     * @type {Map<string, FileValidator>}
+     */
+    this.fileValidators = new Map()
+    /**
+     * Text file types registered by other modules, in addition to the `textFileTypes` config
+     * @type {Object<string, string>}
+     */
+    this.textFileTypes = {}
+    /**
+     * IDs of resumable uploads currently receiving data
+     * @type {Set<string>}
+     */
+    this.resumableUploadLocks = new Set()
+    /**
+     * Progress of current uploads, keyed by user and upload progress ID
+     * @type {Map<string, Object>}
+     */
+    this.uploadProgress = new Map()
+    /**
+     * Cache of upload quota limiter instances, keyed by quota type and tier
+     * @type {Map<string, external:RateLimiterAbstract>}
+     */
+    this.uploadQuotaLimiters = new Map()
+    /**
+     * Pre-serialised lang responses, keyed by locale and namespaces
+     * @type {Map<string, LangResponse>}
+     */
+    this.langResponses = new Map()
+    /**
+     * Translation keys which have been used without a string, keyed by locale then key
+     * @type {Map<string, Map<string, Object>>}
+     */
+    this.missingTranslations = new Map()
+    /**
+     * Extra Content-Security-Policy sources added by other modules, keyed by directive
+     * @type {Map<string, Set<string>>}
+     */
+    this.cspSources = new Map()
+    /**
+     * Content-Security-Policy violations reported by browsers, keyed by directive and blocked URI
+     * @type {Map<string, CspViolation>}
+     */
+    this.cspReports = new Map()
+    /**
+     * Middleware registered for each router, in registration order
+     * @type {{ root: Array<MiddlewareEntry>, api: Array<MiddlewareEntry> }}
+     */
+    this.middlewareEntries = { root: [], api: [] }
+    /**
+     * Resolved middleware order for each router, cleared whenever new middleware is registered
+     * @type {Map<string, Array<MiddlewareEntry>>}
+     */
+    this.middlewareStacks = new Map()
+    /**
+     * Metrics collected about the API, served in Prometheus format
+     * @type {Object}
+     */
+    this.metrics = this.createMetrics()
+
+    this.addContentTypes({ route: '/uploads/:id', methods: ['patch'], accepts: ['application/offset+octet-stream'] })
+    this.addContentTypes({ route: '/uploads/progress/:id', methods: ['get'], produces: ['text/event-stream'] })
+    this.addContentTypes({ route: '/csp/reports', methods: ['post'], accepts: ['application/csp-report', 'application/reports+json'] })
+    this.addContentTypes({ route: '/metrics', methods: ['get'], produces: ['text/plain'] })
+
     const [auth, server] = await this.app.waitForModule('auth', 'server')
+    /**
+     * URL which browsers should send Content-Security-Policy violation reports to
+     * @type {string}
+     */
+    this.cspReportUri = `${server.api.path}/csp/reports`
+    // built-in middleware runs in this order, but is only constrained where one entry relies on another
+    const builtIns = {
+      root: [
+        { name: 'helmet', handler: helmet({ ...this.getConfig('helmetRootOptions'), contentSecurityPolicy: false }) },
+        this.getConfig('cspEnabled') && { name: 'csp', handler: this.contentSecurityPolicy() }
+      ],
+      api: [
+        { name: 'requestLogger', handler: this.requestLogger() },
+        { name: 'metrics', handler: this.requestMetrics() },
+        { name: 'helmet', handler: helmet(this.getConfig('helmetApiOptions')) },
+        // added early so that errors from the other middleware are translated, required as other code uses req.translate
+        { name: 'translation', handler: this.addTranslationUtils.bind(this), required: true },
+        // preflight requests shouldn't be charged by the rate limiter
+        { name: 'cors', handler: this.cors(), before: ['rateLimiter'] },
+        { name: 'rateLimiter', handler: await this.rateLimiter() },
+        // bodies shouldn't be checked or parsed for requests which are rate limited
+        { name: 'contentTypeGuard', handler: this.contentTypeGuard(), after: ['rateLimiter'] },
+        { name: 'bodyParserJson', handler: this.bodyParserJson(), after: ['contentTypeGuard'] },
+        { name: 'bodyParserUrlEncoded', handler: this.bodyParserUrlEncoded(), after: ['contentTypeGuard'] },
+        this.getConfig('bodyParserTextEnabled') && { name: 'bodyParserText', handler: this.bodyParserText(), after: ['contentTypeGuard'] },
+        this.getConfig('bodyParserYamlEnabled') && { name: 'bodyParserYaml', handler: this.bodyParserYaml(), after: ['contentTypeGuard'] },
+        { name: 'compression', handler: this.compression() }
+      ]
+    }
+    Object.entries(builtIns).forEach(([router, entries]) => {
+      entries.filter(Boolean).forEach(entry => this.registerMiddleware({ ...entry, router }))
+    })
+    server.root.addMiddleware(this.runMiddleware('root'))
+    // added once auth has initialised, so that auth's API middleware (which sets req.auth) runs first
+    server.api.addMiddleware(this.runMiddleware('api'))
+    await this.initRoutes(auth, server)
+
+    this.app.onReady().then(async () => {
+      await this.sweepUploadDir()
+      setInterval(() => this.sweepUploadDir(), this.getConfig('uploadTempDirSweepInterval')).unref()
+    })
+  }
+
+  /**
+   * Adds the module's routes to the API router
+   * @param {Object} auth The auth module
+   * @param {Object} server The server module
+   * @return {Promise}
+   */
+  async initRoutes (auth, server) {
     const { loadRouteConfig, registerRoutes } = await import('adapt-authoring-server')
-    const helmetFunc = helmet({
-      xFrameOptions: false,
-      xXssProtection: false,
-      contentSecurityPolicy: false
+    const config = await loadRouteConfig(this.rootDir, this)
+    if (config) registerRoutes(server.api, config.routes, auth)
+  }
+
+  /**
+   * Adds middleware to the root or API router
+   * @param {MiddlewareEntry} entry The middleware to add
+   */
+  registerMiddleware ({ name, handler, router = 'api', before = [], after = [], required = false }) {
+    if (typeof name !== 'string' || typeof handler !== 'function' || !this.middlewareEntries[router]) {
+      throw this.app.errors.INVALID_PARAMS.setData({ params: ['name', 'handler', 'router'] })
+    }
+    const entries = this.middlewareEntries[router]
+    if (entries.some(e => e.name === name)) {
+      throw this.app.errors.MIDDLEWARE_EXISTS.setData({ name, router })
+    }
+    const { unresolved } = sortMiddleware([...entries, { name, before, after }])
+    if (unresolved.length) {
+      throw this.app.errors.MIDDLEWARE_ORDER_CYCLE.setData({ router, names: unresolved })
+    }
+    entries.push({ name, handler, router, before, after, required })
+    this.middlewareStacks.delete(router)
+    this.log('debug', 'MIDDLEWARE', `${router}.${name}`)
+  }
+
+  /**
+   * Returns a router's middleware in run order, including disabled entries
+   * @param {string} router The router, either `root` or `api`
+   * @return {Array<MiddlewareEntry>}
+   */
+  getMiddlewareStack (router) {
+    if (!this.middlewareStacks.has(router)) {
+      const disabled = this.getConfig('disabledMiddleware')
+      const { sorted } = sortMiddleware(this.middlewareEntries[router])
+      this.middlewareStacks.set(router, sorted.map(e => {
+        const isDisabled = disabled.includes(`${router}.${e.name}`)
+        if (isDisabled && e.required) this.log('warn', 'MIDDLEWARE', `${router}.${e.name} is required and can't be disabled`)
+        return { ...e, enabled: e.required || !isDisabled }
+      }))
+    }
+    return this.middlewareStacks.get(router)
+  }
+
+  /**
+   * Runs a router's enabled middleware in order
+   * @param {string} router The router, either `root` or `api`
+   * @return {Function} Express middleware function
+   */
+  runMiddleware (router) {
+    return (req, res, next) => {
+      const stack = this.getMiddlewareStack(router).filter(e => e.enabled)
+      const dispatch = (i, error) => {
+        if (error || i === stack.length) {
+          return next(error)
+        }
+        try {
+          const result = stack[i].handler(req, res, e => dispatch(i + 1, e))
+          if (typeof result?.catch === 'function') result.catch(next)
+        } catch (e) {
+          next(e)
+        }
+      }
+      dispatch(0)
+    }
+  }
+
+  /**
+   * Lists the middleware for each router in the order it's run
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  middlewareListHandler (req, res, next) {
+    try {
+      res.json(Object.fromEntries(Object.keys(this.middlewareEntries).map(router => {
+        return [router, this.getMiddlewareStack(router).map(({ name, before, after, required, enabled }) => ({ name, before, after, required, enabled }))]
+      })))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Returns public config data
+   * @param {external:ExpressRequest} _req
+   * @param {external:ExpressResponse} res
+   */
+  configRequestHandler (_req, res) {
+    res.json(this.app.config.getPublicConfig())
+  }
+
+  /**
+   * Returns lang strings for a specified locale
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async langRequestHandler (req, res, next) {
+    const lang = req.params.lang ? this.resolveLang(req.params.lang) : this.getAcceptedLang(req)
+    if (!lang) {
+      return next(this.app.errors.UNKNOWN_LANG.setData({ lang: req.params.lang }))
+    }
+    const namespaces = typeof req.query.ns === 'string'
+      ? req.query.ns.split(',').map(ns => ns.trim()).filter(Boolean)
+      : undefined
+    let response
+    try {
+      response = await this.getLangResponse(lang, namespaces, req.query.fallbacks === 'true')
+    } catch (e) {
+      return next(e)
+    }
+    const isGzip = Boolean(response.gzip) && req.acceptsEncodings('gzip', 'identity') === 'gzip'
+    res.set({
+      'Cache-Control': this.getConfig('langCacheControl'),
+      'Content-Language': lang,
+      // each encoding is a different representation, so needs its own ETag
+      ETag: isGzip ? response.etag.replace(/"$/, '-gzip"') : response.etag
+    })
+    res.vary(req.params.lang ? 'Accept-Encoding' : ['Accept-Language', 'Accept-Encoding'])
+    if (req.fresh) {
+      return res.status(304).end()
+    }
+    res.type('json')
+    if (isGzip) {
+      res.set('Content-Encoding', 'gzip')
+      return res.send(response.gzip)
+    }
+    res.send(response.body)
+  }
+
+  /**
+   * Lists the supported languages, and how complete each is
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   */
+  langListHandler (req, res) {
+    const defaultLang = this.getDefaultLang()
+    const defaultKeys = Object.keys(this.app.lang.phrases[defaultLang] ?? {})
+    res.json(this.app.lang.supportedLanguages.map(lang => {
+      const { fallbacks } = this.getLangPhrases(lang)
+      const missing = defaultKeys.filter(key => fallbacks[key] === defaultLang).length
+      return {
+        lang,
+        name: getLanguageName(lang),
+        isDefault: lang === defaultLang,
+        completeness: defaultKeys.length && lang !== defaultLang
+          ? Math.floor((defaultKeys.length - missing) / defaultKeys.length * 100)
+          : 100
+      }
+    }))
+  }
+
+  /**
+   * Returns the default language, which all other languages fall back to
+   * @return {string}
+   */
+  getDefaultLang () {
+    return this.app.config.get('adapt-authoring-core.defaultLang')
+  }
+
+  /**
+   * Finds the most specific supported locale for a requested locale
+   * @param {string} lang The requested locale
+   * @return {string|undefined} The supported locale, or undefined if there isn't one
+   */
+  resolveLang (lang) {
+    const supported = Object.keys(this.app.lang.phrases)
+    for (const locale of getLocaleFallbacks(lang)) {
+      const match = supported.find(l => l.toLowerCase() === locale.toLowerCase())
+      if (match) return match
+    }
+  }
+
+  /**
+   * Finds the supported locale for a request's Accept-Language header
+   * @param {external:ExpressRequest} req
+   * @return {string|undefined}
+   */
+  getAcceptedLang (req) {
+    for (const lang of req.acceptsLanguages()) {
+      const locale = lang === '*' ? this.getDefaultLang() : this.resolveLang(lang)
+      if (locale) return locale
+    }
+  }
+
+  /**
+   * Returns a locale's phrases merged over those of its fallbacks
+   * @param {string} lang The locale (must be supported)
+   * @return {{ phrases: Object<string, string>, fallbacks: Object<string, string> }} The phrases, and the locale used for each phrase which isn't from `lang`
+   */
+  getLangPhrases (lang) {
+    const phrases = {}
+    const fallbacks = {}
+    getLocaleFallbacks(lang, this.getDefaultLang()).forEach(locale => {
+      Object.entries(this.app.lang.phrases[locale] ?? {}).forEach(([key, value]) => {
+        if (key in phrases) return
+        phrases[key] = value
+        if (locale !== lang) fallbacks[key] = locale
+      })
+    })
+    return { phrases, fallbacks }
+  }
+
+  /**
+   * Serialises a locale's phrases for sending to clients
+   * @param {string} lang The locale (must be supported)
+   * @param {Array<string>} [namespaces] Only include phrases in these namespaces
+   * @param {boolean} [includeFallbacks] Whether to include which phrases came from a fallback locale. If set, the phrases are sent as `phrases`, and the fallback locale of each phrase as `fallbacks`
+   * @return {Promise<LangResponse>}
+   */
+  async getLangResponse (lang, namespaces, includeFallbacks = false) {
+    const cacheKey = `${lang}?fallbacks=${includeFallbacks}`
+    if (!namespaces && this.langResponses.has(cacheKey)) {
+      return this.langResponses.get(cacheKey)
+    }
+    const { phrases: allPhrases, fallbacks: allFallbacks } = this.getLangPhrases(lang)
+    const phrases = namespaces ? filterLangPhrases(allPhrases, namespaces) : allPhrases
+    const body = JSON.stringify(includeFallbacks
+      ? { lang, phrases, fallbacks: namespaces ? filterLangPhrases(allFallbacks, namespaces) : allFallbacks }
+      : phrases)
+    const response = { body, etag: `"${createHash('sha1').update(body).digest('base64url')}"` }
+    // filtered responses aren't cached, as clients could fill the cache with combinations of namespaces
+    if (!this.getConfig('langPreSerialise') || namespaces) {
+      return response
+    }
+    response.gzip = await promisify(zlib.gzip)(body)
+    this.langResponses.set(cacheKey, response)
+    return response
+  }
+
+  /**
+   * Gives each request an ID, and logs it once its response has been sent
+   * @return {Function} Express middleware function
+   */
+  requestLogger () {
+    return (req, res, next) => {
+      const start = process.hrtime.bigint()
+      const requestId = req.headers['x-request-id']
+      req.id = typeof requestId === 'string' && /^[\w.:-]{1,128}$/.test(requestId) ? requestId : randomUUID()
+      res.set('X-Request-Id', req.id)
+      const getBytes = this.countResponseBytes(res)
+      let isLogged = false
+      const log = () => {
+        if (isLogged) return
+        isLogged = true
+        this.logAccess(req, res, { duration: Number(process.hrtime.bigint() - start) / 1e6, bytes: getBytes(), aborted: !res.writableFinished })
+      }
+      res.once('finish', log)
+      res.once('close', log)
+      next()
+    }
+  }
+
+  /**
+   * Writes an access log entry for a request
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Object} stats
+   * @param {number} stats.duration Response time in milliseconds
+   * @param {number} stats.bytes Response body size in bytes
+   * @param {Boolean} stats.aborted Whether the connection closed early
+   */
+  logAccess (req, res, { duration, bytes, aborted }) {
+    if (res.statusCode < 400 && !aborted && Math.random() >= this.getConfig('accessLogSampleRate')) {
+      return
+    }
+    const redact = this.getConfig('accessLogRedactFields')
+    const entry = {
+      id: req.id,
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : undefined,
+      path: req.originalUrl.split('?')[0],
+      query: Object.keys(req.query ?? {}).length ? redactFields(req.query, redact) : undefined,
+      status: res.statusCode,
+      duration: Math.round(duration),
+      bytes,
+      user: req.auth?.user?._id?.toString(),
+      bucket: res.get('X-RateLimit-Bucket'),
+      ip: req.ip,
+      aborted: aborted || undefined
+    }
+    this.log(this.getConfig('accessLogLevel'), 'ACCESS', JSON.stringify(entry))
+  }
+
+  /**
+   * Counts the bytes written to a response from this point in the stack
+   * @param {external:ExpressResponse} res
+   * @return {Function} Returns the number of bytes written so far
+   */
+  countResponseBytes (res) {
+    let bytes = 0
+    const count = chunk => {
+      if (chunk && typeof chunk !== 'function') bytes += typeof chunk === 'string' ? Buffer.byteLength(chunk) : chunk.length
+    }
+    const { write, end } = res
+    res.write = function (chunk, ...args) {
+      count(chunk)
+      return write.call(this, chunk, ...args)
+    }
+    res.end = function (chunk, ...args) {
+      count(chunk)
+      return end.call(this, chunk, ...args)
+    }
+    return () => bytes
+  }
+
+  /**
+   * Creates the module's metrics in their own registry
+   * @return {Object}
+   */
+  createMetrics () {
+    const registry = new Registry()
+    const create = (Type, config) => new Type({ ...config, registers: [registry] })
+    return {
+      registry,
+      requests: create(Counter, {
+        name: 'http_requests_total',
+        help: 'API requests, by method, route and response status',
+        labelNames: ['method', 'route', 'status']
+      }),
+      requestDuration: create(Histogram, {
+        name: 'http_request_duration_seconds',
+        help: 'Time taken to respond to API requests, by method, route and response status',
+        labelNames: ['method', 'route', 'status'],
+        buckets: this.getConfig('metricsDurationBuckets')
+      }),
+      rateLimitRejections: create(Counter, {
+        name: 'http_rate_limit_rejections_total',
+        help: 'API requests rejected by the rate limiter, by bucket',
+        labelNames: ['bucket']
+      }),
+      compressionInputBytes: create(Counter, {
+        name: 'http_compression_input_bytes_total',
+        help: 'Size of compressed responses before compression, by encoding',
+        labelNames: ['encoding']
+      }),
+      compressionOutputBytes: create(Counter, {
+        name: 'http_compression_output_bytes_total',
+        help: 'Size of compressed responses after compression, by encoding',
+        labelNames: ['encoding']
+      }),
+      uploadBytes: create(Counter, {
+        name: 'upload_bytes_total',
+        help: 'Size of uploaded files which passed validation'
+      }),
+      uploadFiles: create(Counter, {
+        name: 'upload_files_total',
+        help: 'Uploaded files which passed validation'
+      }),
+      uploadRejections: create(Counter, {
+        name: 'upload_rejections_total',
+        help: 'Uploads rejected because one or more files failed validation'
+      })
+    }
+  }
+
+  /**
+   * Records the count and duration of API requests
+   * @return {Function} Express middleware function
+   */
+  requestMetrics () {
+    return (req, res, next) => {
+      const endTimer = this.metrics.requestDuration.startTimer()
+      let isRecorded = false
+      const record = () => {
+        if (isRecorded) return
+        isRecorded = true
+        const labels = {
+          method: req.method,
+          route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+          status: res.statusCode
+        }
+        this.metrics.requests.inc(labels)
+        endTimer(labels)
+      }
+      res.once('finish', record)
+      res.once('close', record)
+      next()
+    }
+  }
+
+  /**
+   * Sends the collected metrics in Prometheus text format
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async metricsHandler (req, res, next) {
+    try {
+      const { registry } = this.metrics
+      res.type(registry.contentType).send(await registry.metrics())
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Adds translation utilities to incoming API requests
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  addTranslationUtils (req, res, next) {
+    req.locale = this.getRequestLocale(req)
+    req.translate = (key, data) => {
+      const phraseKey = typeof key === 'string' ? key : key?.code && `error.${key.code}`
+      if (phraseKey) this.recordMissingTranslation(req.locale, phraseKey, 'server')
+      return this.app.lang.translate(req.locale, key, data)
+    }
+    res.set('Content-Language', req.locale)
+    res.vary('Accept-Language')
+
+    const sendError = res.sendError
+    if (sendError) {
+      res.sendError = error => {
+        // leave anything which isn't an app error to the server's default handling
+        if (!error?.code || !error?.statusCode) {
+          return sendError.call(res, error)
+        }
+        res.status(error.statusCode).json({
+          code: error.code,
+          message: this.translateError(req.locale, error),
+          data: error.data,
+          requestId: req.id
+        })
+      }
+    }
+    next()
+  }
+
+  /**
+   * Translates an app error, falling back to its default message
+   * @param {string} lang The locale
+   * @param {AdaptError} error The error to translate
+   * @return {string} The translated message
+   */
+  translateError (lang, error) {
+    const key = `error.${error.code}`
+    this.recordMissingTranslation(lang, key, 'server')
+    const locale = this.getTranslationLocale(lang, key)
+    return locale ? this.app.lang.translate(locale, key, error.data) : error.message
+  }
+
+  /**
+   * Finds the locale whose string will be used for a key
+   * @param {string} lang The locale
+   * @param {string} key The translation key
+   * @return {string|undefined} The locale, or undefined if no locale has a string for the key
+   */
+  getTranslationLocale (lang, key) {
+    return getLocaleFallbacks(lang, this.getDefaultLang())
+      .find(l => this.app.lang.phrases[l]?.[key] !== undefined)
+  }
+
+  /**
+   * Records a translation key being used without a string
+   * @param {string} lang The locale
+   * @param {string} key The translation key
+   * @param {string} source Where the key was used, either `server` or `client`
+   */
+  recordMissingTranslation (lang, key, source) {
+    if (this.getTranslationLocale(lang, key)) {
+      return
+    }
+    let keys = this.missingTranslations.get(lang)
+    if (!keys) {
+      keys = new Map()
+      this.missingTranslations.set(lang, keys)
+    }
+    let entry = keys.get(key)
+    if (!entry) {
+      if (keys.size >= this.getConfig('langMissingMaxKeys')) return
+      entry = { count: 0, sources: new Set(), firstSeen: new Date() }
+      keys.set(key, entry)
+    }
+    entry.count++
+    entry.sources.add(source)
+    entry.lastSeen = new Date()
+  }
+
+  /**
+   * Records translation keys which the client couldn't find a string for
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  langMissingReportHandler (req, res, next) {
+    const { lang, keys } = req.body
+    const locale = typeof lang === 'string' && this.resolveLang(lang)
+    if (!locale) {
+      return next(this.app.errors.INVALID_PARAMS.setData({ params: ['lang'] }))
+    }
+    if (!Array.isArray(keys) || !keys.length || keys.length > 100 || keys.some(k => typeof k !== 'string' || !k || k.length > 200)) {
+      return next(this.app.errors.INVALID_PARAMS.setData({ params: ['keys'] }))
+    }
+    new Set(keys).forEach(key => this.recordMissingTranslation(locale, key, 'client'))
+    res.sendStatus(204)
+  }
+
+  /**
+   * Lists the recorded missing translations, most used first
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   */
+  langMissingListHandler (req, res) {
+    const results = []
+    this.missingTranslations.forEach((keys, lang) => {
+      if (req.query.lang && req.query.lang !== lang) return
+      keys.forEach(({ sources, ...entry }, key) => results.push({ lang, key, ...entry, sources: [...sources] }))
+    })
+    res.json(results.sort((a, b) => b.count - a.count))
+  }
+
+  /**
+   * Clears the recorded missing translations
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   */
+  langMissingClearHandler (req, res) {
+    if (req.query.lang) this.missingTranslations.delete(req.query.lang)
+    else this.missingTranslations.clear()
+    res.sendStatus(204)
+  }
+
+  /**
+   * Returns the supported locale to use for a request
+   * @param {external:ExpressRequest} req
+   * @return {string} The locale
+   */
+  getRequestLocale (req) {
+    const cookies = parseCookies(req.headers.cookie ?? '')
+    const requested = [req.query?.lang, cookies[this.getConfig('langCookieName')], req.auth?.user?.lang]
+    for (const lang of requested) {
+      const locale = typeof lang === 'string' && this.resolveLang(lang)
+      if (locale) return locale
+    }
+    return this.getAcceptedLang(req) || this.getDefaultLang()
+  }
+
+  /**
+   * Adds sources to a Content-Security-Policy directive
+   * @param {string} directive The directive name (e.g. `script-src` or `scriptSrc`)
+   * @param {Array<string>} sources The sources to add
+   */
+  addCspSources (directive, sources) {
+    if (!this.cspSources.has(directive)) this.cspSources.set(directive, new Set())
+    sources.forEach(s => this.cspSources.get(directive).add(s))
+    // rebuild the policy on the next request
+    this.cspMiddleware = undefined
+  }
+
+  /**
+   * Builds the Content-Security-Policy directives
+   * @return {Object<string, Array<string>>} The directives, keyed by kebab-case name
+   */
+  getCspDirectives () {
+    const toName = directive => directive.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)
+    const directives = { ...helmet.contentSecurityPolicy.getDefaultDirectives() }
+    Object.entries(this.getConfig('cspDirectives')).forEach(([directive, sources]) => {
+      if (sources === null) delete directives[toName(directive)]
+      else directives[toName(directive)] = sources
+    })
+    this.cspSources.forEach((sources, directive) => {
+      const name = toName(directive)
+      // directives which aren't set fall back to default-src, so start from that to avoid loosening the policy
+      const existing = directives[name] ?? directives['default-src'] ?? []
+      directives[name] = [...new Set([...existing, ...sources])]
+    })
+    if (this.getConfig('cspReportViolations')) {
+      directives['report-uri'] = [this.cspReportUri]
+    }
+    return directives
+  }
+
+  /**
+   * Sets the Content-Security-Policy header
+   * @return {Function} Express middleware function
+   */
+  contentSecurityPolicy () {
+    return (req, res, next) => {
+      if (!this.cspMiddleware) {
+        this.cspMiddleware = helmet.contentSecurityPolicy({
+          useDefaults: false,
+          directives: this.getCspDirectives(),
+          reportOnly: this.getConfig('cspReportOnly')
+        })
+      }
+      this.cspMiddleware(req, res, next)
+    }
+  }
+
+  /**
+   * Records a Content-Security-Policy violation
+   * @param {CspViolation} report The violation
+   */
+  recordCspViolation ({ directive, blockedUri, ...details }) {
+    const key = `${directive} ${blockedUri}`
+    let entry = this.cspReports.get(key)
+    if (!entry) {
+      if (this.cspReports.size >= this.getConfig('cspMaxReports')) return
+      entry = { directive, blockedUri, count: 0, firstSeen: new Date() }
+      this.cspReports.set(key, entry)
+      this.log('debug', 'CSP_VIOLATION', directive, blockedUri)
+    }
+    Object.assign(entry, details, { count: entry.count + 1, lastSeen: new Date() })
+  }
+
+  /**
+   * Records Content-Security-Policy violation reports sent by browsers
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  cspReportHandler (req, res, next) {
+    bodyParser.json({ type: ['application/csp-report', 'application/reports+json'], limit: '100kb' })(req, res, error => {
+      if (error) return next(this.getBodyParserError(error))
+      parseCspReports(req.body).forEach(r => this.recordCspViolation(r))
+      res.sendStatus(204)
+    })
+  }
+
+  /**
+   * Lists the recorded Content-Security-Policy violations, most frequent first
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   */
+  cspReportListHandler (req, res) {
+    res.json([...this.cspReports.values()].sort((a, b) => b.count - a.count))
+  }
+
+  /**
+   * Clears the recorded Content-Security-Policy violations
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   */
+  cspReportClearHandler (req, res) {
+    this.cspReports.clear()
+    res.sendStatus(204)
+  }
+
+  /**
+   * Limits how many requests individual clients can make
+   * @return {Function} Express middleware function
+   */
+  async rateLimiter () {
+    /**
+     * Cache of rate limiter instances, keyed by bucket name
+     * @type {Map<string, external:RateLimiterAbstract>}
+     */
+    this.rateLimiters = new Map()
+    /**
+     * Clients seen by the rate limiter, keyed by bucket and client key
+     * @type {Map<string, Object>}
+     */
+    this.rateLimitConsumers = new Map()
+    // the list handler only shows current consumers, so drop the rest rather than keeping every client ever seen
+    setInterval(() => this.pruneRateLimitConsumers(), 60000).unref()
+
+    const store = this.getConfig('apiRequestLimitStore')
+    if (store !== 'memory') {
+      const connectStore = this.connectRateLimiterStore()
+      if (store === 'mongodb') {
+        await connectStore
+      } else {
+        connectStore.catch(e => this.log('warn', 'RATE_LIMIT', `failed to connect to MongoDB, using in-memory store, ${e.message}`))
+      }
+    }
+    return async (req, res, next) => {
+      const { bucket, points, duration, cost } = this.getRateLimitBucket(req)
+      const key = req.auth?.user?._id?.toString() ?? req.ip
+      const setHeaders = data => {
+        const resetAt = new Date(Date.now() + data.msBeforeNext)
+        this.rateLimitConsumers.set(`${bucket} ${key}`, { bucket, key, expiresAt: resetAt })
+        res.set({
+          'Retry-After': Math.ceil(data.msBeforeNext / 1000),
+          'X-RateLimit-Bucket': bucket,
+          'X-RateLimit-Limit': points,
+          'X-RateLimit-Remaining': data.remainingPoints,
+          'X-RateLimit-Reset': resetAt
+        })
+        return resetAt
+      }
+      let resetAt
+      try {
+        setHeaders(await this.getRateLimiter(bucket, points, duration).consume(key, cost))
+        next()
+      } catch (e) {
+        if (e instanceof Error) this.log('warn', 'RATE_LIMIT', e.message)
+        else resetAt = setHeaders(e)
+        this.metrics.rateLimitRejections.inc({ bucket })
+        res.sendError(this.app.errors.RATE_LIMIT_EXCEEDED.setData({ url: req.url, bucket, resetAt }))
+      }
+    }
+  }
+
+  /**
+   * Switches the rate limiter over to the MongoDB store
+   * @return {Promise}
+   */
+  async connectRateLimiterStore () {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const { db } = await mongodb.getStats()
+    this.rateLimiterStore = { storeClient: mongodb.client, dbName: db }
+    this.rateLimiters.clear()
+  }
+
+  /**
+   * Works out which rate limit bucket a request should be charged against
+   * @param {external:ExpressRequest} req
+   * @return {Object} The bucket name, its points and duration (ms), and the request cost
+   */
+  getRateLimitBucket (req) {
+    const { rule, cost } = resolveRateLimitRule(this.getConfig('apiRequestLimitRoutes'), req.method, req.path)
+    if (rule?.points !== undefined || rule?.duration !== undefined) {
+      return {
+        bucket: `route:${rule.route}`,
+        points: rule.points ?? this.getConfig('apiRequestLimit'),
+        duration: rule.duration ?? this.getConfig('apiRequestLimitDuration'),
+        cost
+      }
+    }
+    const tiers = this.getConfig('apiRequestLimitTiers') ?? {}
+    const tier = resolveRateLimitTier(req.auth, tiers)
+    return {
+      bucket: tier,
+      points: tiers[tier]?.points ?? this.getConfig('apiRequestLimit'),
+      duration: tiers[tier]?.duration ?? this.getConfig('apiRequestLimitDuration'),
+      cost
+    }
+  }
+
+  /**
+   * Returns the rate limiter for a bucket, creating it if it doesn't exist
+   * @param {string} bucket Name of the bucket
+   * @param {number} points Number of points allowed within the duration
+   * @param {number} duration Duration in milliseconds
+   * @return {external:RateLimiterAbstract}
+   */
+  getRateLimiter (bucket, points, duration) {
+    if (!this.rateLimiters.has(bucket)) {
+      const opts = { keyPrefix: `ratelimiter_${bucket}`, points, duration: duration / 1000 }
+      let limiter
+      if (!this.rateLimiterStore) {
+        limiter = new RateLimiterMemory(opts)
+      } else {
+        limiter = new RateLimiterMongo({
+          ...opts,
+          ...this.rateLimiterStore,
+          tableName: 'ratelimiter',
+          insuranceLimiter: this.getConfig('apiRequestLimitStore') === 'insured' ? new RateLimiterMemory(opts) : undefined
+        })
+      }
+      this.rateLimiters.set(bucket, limiter)
+    }
+    return this.rateLimiters.get(bucket)
+  }
+
+  /**
+   * Returns the current state of a client in a rate limit bucket
+   * @param {string} bucket Name of the bucket
+   * @param {string} key The client key (user _id or IP)
+   * @return {Promise<Object>} The state, or undefined if the client has no record
+   */
+  async getRateLimitState (bucket, key) {
+    const limiter = this.rateLimiters.get(bucket)
+    const data = limiter && await limiter.get(key)
+    if (!data) {
+      return
+    }
+    return {
+      bucket,
+      key,
+      limit: limiter.points,
+      consumedPoints: data.consumedPoints,
+      remainingPoints: data.remainingPoints,
+      resetAt: new Date(Date.now() + data.msBeforeNext),
+      isBlocked: data.consumedPoints > limiter.points
+    }
+  }
+
+  /**
+   * Returns the buckets a rate limit admin request should act on
+   * @param {external:ExpressRequest} req
+   * @return {Array<string>}
+   */
+  getRateLimitRequestBuckets (req) {
+    const bucket = req.query.bucket ?? req.body?.bucket
+    if (!bucket) {
+      return [...this.rateLimiters.keys()]
+    }
+    if (!this.rateLimiters.has(bucket)) {
+      throw this.app.errors.UNKNOWN_RATE_LIMIT_BUCKET.setData({ bucket })
+    }
+    return [bucket]
+  }
+
+  /**
+   * Removes clients whose rate limit window has ended
+   */
+  pruneRateLimitConsumers () {
+    const now = new Date()
+    this.rateLimitConsumers.forEach(({ expiresAt }, id) => {
+      if (expiresAt <= now) this.rateLimitConsumers.delete(id)
+    })
+  }
+
+  /**
+   * Lists the clients currently tracked by the rate limiter
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async rateLimitListHandler (req, res, next) {
+    try {
+      this.pruneRateLimitConsumers()
+      const consumers = [...this.rateLimitConsumers.values()]
+      const states = await Promise.all(consumers.map(({ bucket, key }) => this.getRateLimitState(bucket, key)))
+      res.json(states.filter(Boolean))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Returns the rate limit state of a single client
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async rateLimitInspectHandler (req, res, next) {
+    try {
+      const buckets = this.getRateLimitRequestBuckets(req)
+      const states = await Promise.all(buckets.map(b => this.getRateLimitState(b, req.params.key)))
+      res.json(states.filter(Boolean))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Resets the rate limit points of a single client
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async rateLimitResetHandler (req, res, next) {
+    try {
+      const { key } = req.params
+      const buckets = this.getRateLimitRequestBuckets(req)
+      await Promise.all(buckets.map(b => this.rateLimiters.get(b).delete(key)))
+      this.log('info', 'RATE_LIMIT_RESET', key, buckets)
+      await this.rateLimitResetHook.invoke({ key, buckets, user: req.auth?.user?._id })
+      res.sendStatus(204)
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Temporarily blocks a single client
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async rateLimitBlockHandler (req, res, next) {
+    try {
+      const { key } = req.params
+      const duration = Number(req.body.duration ?? this.getConfig('apiRequestLimitBlockDuration'))
+      if (!(duration > 0)) {
+        throw this.app.errors.INVALID_PARAMS.setData({ params: ['duration'] })
+      }
+      const buckets = this.getRateLimitRequestBuckets(req)
+      const expiresAt = new Date(Date.now() + duration)
+      await Promise.all(buckets.map(async bucket => {
+        await this.rateLimiters.get(bucket).block(key, duration / 1000)
+        this.rateLimitConsumers.set(`${bucket} ${key}`, { bucket, key, expiresAt })
+      }))
+      this.log('info', 'RATE_LIMIT_BLOCK', key, buckets, duration)
+      await this.rateLimitBlockHook.invoke({ key, buckets, duration, user: req.auth?.user?._id })
+      res.json(await Promise.all(buckets.map(b => this.getRateLimitState(b, key))))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Adds a route rule for another module
+   * @param {string} type The config option which holds the same kind of rule (e.g. `corsRoutes`)
+   * @param {Object} rule The rule to add
+   */
+  addRouteRule (type, rule) {
+    if (!rule?.route) {
+      throw this.app.errors.INVALID_PARAMS.setData({ params: ['route'] })
+    }
+    this.routeRules[type].push(rule)
+  }
+
+  /**
+   * Returns the route rules of a type, with those from config first
+   * @param {string} type The config option which holds the rules (e.g. `corsRoutes`)
+   * @return {Array<Object>}
+   */
+  getRouteRules (type) {
+    return [...(this.getConfig(type) ?? []), ...this.routeRules[type]]
+  }
+
+  /**
+   * Overrides the default CORS options for a route
+   * @param {CorsRule} rule The rule to add
+   */
+  addCorsRule (rule) {
+    this.addRouteRule('corsRoutes', rule)
+  }
+
+  /**
+   * Returns the CORS options for a request
+   * @param {external:ExpressRequest} req
+   * @param {string} method The method to get options for (for preflight requests, the method being requested)
+   * @return {CorsOptions}
+   */
+  getCorsOptions (req, method) {
+    return resolveRouteOptions(this.getRouteRules('corsRoutes'), method, req.path, {
+      origins: this.getConfig('corsOrigins'),
+      allowedMethods: this.getConfig('corsMethods'),
+      allowedHeaders: this.getConfig('corsAllowedHeaders'),
+      exposedHeaders: this.getConfig('corsExposedHeaders'),
+      credentials: this.getConfig('corsCredentials'),
+      maxAge: this.getConfig('corsMaxAge')
+    }, ['origins', 'allowedHeaders', 'exposedHeaders', 'credentials', 'maxAge'])
+  }
+
+  /**
+   * Adds CORS headers, and responds to preflight requests
+   * @return {Function} Express middleware function
+   */
+  cors () {
+    return (req, res, next) => {
+      const origin = req.headers.origin
+      if (!origin) {
+        return next()
+      }
+      const requestedMethod = req.headers['access-control-request-method']
+      const isPreflight = req.method === 'OPTIONS' && !!requestedMethod
+      const options = this.getCorsOptions(req, isPreflight ? requestedMethod : req.method)
+      res.vary('Origin')
+
+      const isAllowed = matchOrigin(origin, options.origins) &&
+        (!isPreflight || options.allowedMethods.some(m => m.toUpperCase() === requestedMethod.toUpperCase()))
+      if (isAllowed) {
+        // credentials are only allowed for origins which are listed, never for a `*` match
+        const isListed = matchOrigin(origin, options.origins.filter(o => o !== '*'))
+        res.set('Access-Control-Allow-Origin', isListed ? origin : '*')
+        if (options.credentials && isListed) res.set('Access-Control-Allow-Credentials', 'true')
+      }
+      if (!isPreflight) {
+        if (isAllowed && options.exposedHeaders.length) {
+          res.set('Access-Control-Expose-Headers', options.exposedHeaders.join(', '))
+        }
+        return next()
+      }
+      // preflight requests are answered here, without running the rest of the middleware
+      if (isAllowed) {
+        const allowedHeaders = options.allowedHeaders.length
+          ? options.allowedHeaders.join(', ')
+          : req.headers['access-control-request-headers']
+        res.set({
+          'Access-Control-Allow-Methods': options.allowedMethods.join(', '),
+          'Access-Control-Max-Age': Math.floor(options.maxAge / 1000)
+        })
+        if (allowedHeaders) res.set('Access-Control-Allow-Headers', allowedHeaders)
+        if (!options.allowedHeaders.length) res.vary('Access-Control-Request-Headers')
+      }
+      res.set('Content-Length', '0')
+      res.status(204).end()
+    }
+  }
+
+  /**
+   * Allows a route to accept and/or produce additional content types
+   * @param {ContentTypeRule} rule The rule to add
+   */
+  addContentTypes (rule) {
+    this.addRouteRule('contentTypeRoutes', rule)
+  }
+
+  /**
+   * Returns the content types a request may send and receive
+   * @param {external:ExpressRequest} req
+   * @return {{ accepts: Array<string>, produces: Array<string> }}
+   */
+  getContentTypes (req) {
+    return resolveContentTypes(this.getRouteRules('contentTypeRoutes'), req.method, req.path, {
+      accepts: this.getConfig('acceptedTypes'),
+      produces: this.getConfig('producedTypes')
+    })
+  }
+
+  /**
+   * Rejects requests with unsupported body or response types
+   * @return {Function} Express middleware function
+   */
+  contentTypeGuard () {
+    return (req, res, next) => {
+      const { accepts, produces } = this.getContentTypes(req)
+      if (req.is(accepts) === false) {
+        return next(this.app.errors.UNSUPPORTED_MEDIA_TYPE.setData({ type: req.headers['content-type'], acceptedTypes: accepts }))
+      }
+      if (!req.accepts(produces)) {
+        return next(this.app.errors.NOT_ACCEPTABLE.setData({ accept: req.headers.accept, producedTypes: produces }))
+      }
+      next()
+    }
+  }
+
+  /**
+   * Overrides the default body parser options for a route
+   * @param {BodyParserRule} rule The rule to add
+   */
+  addBodyParserRule (rule) {
+    this.addRouteRule('bodyParserRoutes', rule)
+  }
+
+  /**
+   * Returns the body parser options for a request
+   * @param {external:ExpressRequest} req
+   * @return {BodyParserOptions}
+   */
+  getBodyParserOptions (req) {
+    return resolveRouteOptions(this.getRouteRules('bodyParserRoutes'), req.method, req.path, {
+      limit: this.getConfig('bodyParserLimit'),
+      strict: this.getConfig('bodyParserStrict'),
+      depth: this.getConfig('bodyParserDepth')
+    })
+  }
+
+  /**
+   * Converts an error from body-parser to an app error
+   * @param {Error} error The body-parser error
+   * @return {AdaptError}
+   */
+  getBodyParserError (error) {
+    if (error.type === 'entity.too.large') {
+      return this.app.errors.BODY_TOO_LARGE.setData({ limit: bytes(error.limit) })
+    }
+    return this.app.errors.BODY_PARSE_FAILED.setData({ error: error.message })
+  }
+
+  /**
+   * Creates middleware which parses request bodies using the route's options
+   * @param {Function} createParser Returns a body-parser parser for the options
+   * @param {Function} parse Converts the parsed body
+   * @return {Function} Express middleware function
+   */
+  createBodyParser (createParser, parse = body => body) {
+    return (req, res, next) => {
+      const options = this.getBodyParserOptions(req)
+      const previousBody = req.body
+      createParser(options)(req, res, error => {
+        if (error) return next(this.getBodyParserError(error))
+        if (req.body !== previousBody) { // only check bodies read by this parser
+          try {
+            req.body = parse(req.body, options)
+            if (exceedsDepth(req.body, options.depth)) throw new Error('The input exceeded the depth')
+          } catch (e) {
+            return next(this.app.errors.BODY_PARSE_FAILED.setData({ error: e.message }))
+          }
+        }
+        next()
+      })
+    }
+  }
+
+  /**
+   * Parses incoming JSON data to req.body
+   * @see https://github.com/expressjs/body-parser#bodyparserjsonoptions
+   * @return {Function} Express middleware function
+   */
+  bodyParserJson () {
+    const parseJson = this.createBodyParser(({ limit, strict }) => bodyParser.json({ limit, strict }))
+    return (req, res, next) => {
+      parseJson(req, res, error => {
+        if (!error && req.body === undefined) req.body = {}
+        next(error)
+      })
+    }
+  }
+
+  /**
+   * Parses incoming URL-encoded data to req.body
+   * @see https://github.com/expressjs/body-parser#bodyparserurlencodedoptions
+   * @return {Function} Express middleware function
+   */
+  bodyParserUrlEncoded () {
+    return this.createBodyParser(({ limit, depth }) => bodyParser.urlencoded({ extended: true, limit, depth }))
+  }
+
+  /**
+   * Parses incoming plain text data to req.body as a string
+   * @see https://github.com/expressjs/body-parser#bodyparsertextoptions
+   * @return {Function} Express middleware function
+   */
+  bodyParserText () {
+    return this.createBodyParser(({ limit }) => bodyParser.text({ type: 'text/plain', limit }))
+  }
+
+  /**
+   * Parses incoming YAML data to req.body using the YAML core schema
+   * @return {Function} Express middleware function
+   */
+  bodyParserYaml () {
+    return this.createBodyParser(({ limit }) => bodyParser.text({ type: this.yamlTypes, limit }), (body, { strict }) => {
+      const data = parseYaml(body, { schema: 'core' })
+      if (strict && (data === null || typeof data !== 'object')) {
+        throw new Error('YAML body must be an object or array')
+      }
+      return data
+    })
+  }
+
+  /**
+   * Compresses responses, and records their size before and after compression
+   * @see https://github.com/expressjs/compression#options
+   * @return {Function} Express middleware function
+   */
+  compression () {
+    const compress = compression()
+    return (req, res, next) => {
+      // counted before compression wraps the response, so sees the compressed output
+      const getOutputBytes = this.countResponseBytes(res)
+      compress(req, res, error => {
+        if (error) return next(error)
+        let isPreEncoded
+        const { write, end } = res
+        // responses which are already encoded (e.g. by the handler) are passed through as they are
+        const checkEncoding = () => {
+          isPreEncoded ??= Boolean(res.getHeader('Content-Encoding'))
+        }
+        res.write = function (...args) {
+          checkEncoding()
+          return write.apply(this, args)
+        }
+        res.end = function (...args) {
+          checkEncoding()
+          return end.apply(this, args)
+        }
+        const getInputBytes = this.countResponseBytes(res)
+        res.once('finish', () => {
+          const encoding = res.getHeader('Content-Encoding')
+          if (!encoding || isPreEncoded) return
+          this.metrics.compressionInputBytes.inc({ encoding }, getInputBytes())
+          this.metrics.compressionOutputBytes.inc({ encoding }, getOutputBytes())
+        })
+        next()
+      })
+    }
+  }
+
+  /**
+   * Sets default file upload options
+   * @param {object} options The initial options object
+   * @returns {FileUploadOptions}
+   */
+  setDefaultFileOptions (options = {}) {
+    Object.entries({
+      maxFileSize: this.getConfig('fileUploadMaxFileSize'),
+      multiples: true,
+      uploadDir: this.getConfig('uploadTempDir'),
+      promisify: false,
+      rawUploadField: 'file',
+      extractMetadata: false,
+      fileValidators: this.getConfig('fileValidators'),
+      hash: false,
+      strictFileTypes: this.getConfig('strictFileTypes'),
+      textFileTypes: { ...this.getConfig('textFileTypes'), ...this.textFileTypes },
+      unzip: false,
+      unzipMaxCompressionRatio: this.getConfig('unzipMaxCompressionRatio'),
+      unzipMaxDepth: this.getConfig('unzipMaxDepth'),
+      unzipMaxEntries: this.getConfig('unzipMaxEntries'),
+      unzipMaxSize: this.getConfig('unzipMaxSize'),
+      removeZipSource: true
+    }).forEach(([k, v]) => {
+      if (k === 'expectedFileTypes' && !Array.isArray(v)) v = [v]
+      if (!Object.prototype.hasOwnProperty.call(options, k)) options[k] = v
+    })
+  }
+
+  /**
+   * Registers text file formats, which are identified by extension
+   * @param {Object<string, string>} types Map of file extensions (without the leading `.`) to MIME types
+   */
+  addTextFileTypes (types) {
+    Object.entries(types ?? {}).forEach(([ext, mimeType]) => {
+      this.textFileTypes[ext.replace(/^\./, '').toLowerCase()] = mimeType
+    })
+  }
+
+  /**
+   * Registers a validator which can be run against uploaded files
+   * @param {string} name Unique name for the validator
+   * @param {Function} validate Async function called with the file data and `{ req, options }`
+   * @param {object} opts
+   * @param {Array<string>} opts.mimeTypes Only validate files of these types (all files are validated if not set)
+   */
+  registerFileValidator (name, validate, { mimeTypes } = {}) {
+    if (typeof name !== 'string' || typeof validate !== 'function') {
+      throw this.app.errors.INVALID_PARAMS.setData({ params: ['name', 'validate'] })
+    }
+    if (this.fileValidators.has(name)) {
+      throw this.app.errors.FILE_VALIDATOR_EXISTS.setData({ name })
+    }
+    this.fileValidators.set(name, { name, validate, mimeTypes })
+    this.log('debug', 'FILE_VALIDATOR', name)
+  }
+
+  /**
+   * Returns the validators enabled for an upload
+   * @param {FileUploadOptions} options
+   * @return {Array<FileValidator>}
+   */
+  getFileValidators (options) {
+    return (options.fileValidators ?? []).map(name => {
+      if (!this.fileValidators.has(name)) {
+        throw this.app.errors.UNKNOWN_FILE_VALIDATOR.setData({ name })
+      }
+      return this.fileValidators.get(name)
+    })
+  }
+
+  /**
+   * Marks uploaded files for removal once the request has finished
+   * @param {external:ExpressRequest} req
+   * @param {...Object} files File data (as generated by formidable)
+   */
+  trackUploadedFiles (req, ...files) {
+    if (!req.uploadedFiles) {
+      req.uploadedFiles = new Set()
+      const cleanUp = () => {
+        req.res.off('finish', cleanUp).off('close', cleanUp)
+        this.removeUploadedFiles(req)
+      }
+      req.res?.on('finish', cleanUp).on('close', cleanUp)
+    }
+    files.forEach(f => req.uploadedFiles.add(f))
+  }
+
+  /**
+   * Stops uploaded files from being removed automatically
+   * @param {external:ExpressRequest} req
+   * @param {...Object} files File data (as generated by formidable)
+   */
+  claimUploadedFiles (req, ...files) {
+    files.forEach(f => req.uploadedFiles?.delete(f))
+  }
+
+  /**
+   * Removes any unclaimed files uploaded with a request
+   * @param {external:ExpressRequest} req
+   * @return {Promise}
+   */
+  async removeUploadedFiles (req) {
+    if (!req.uploadedFiles?.size) {
+      return
+    }
+    const files = [...req.uploadedFiles]
+    req.uploadedFiles.clear()
+    const paths = files.flatMap(f => [f.filepath, f.filepath.replace(/_unzip$/, '')])
+    await Promise.all([...new Set(paths)].map(async p => {
+      try {
+        await fs.rm(p, { recursive: true, force: true })
+      } catch (e) {
+        this.log('warn', 'UPLOAD_CLEANUP', p, e.message)
+      }
+    }))
+  }
+
+  /**
+   * Removes anything in the upload directory older than `uploadTempDirMaxAge`
+   * @return {Promise}
+   */
+  async sweepUploadDir () {
+    try {
+      const { count, size } = await removeExpiredFiles(this.getConfig('uploadTempDir'), this.getConfig('uploadTempDirMaxAge'))
+      if (count) this.log('info', 'UPLOAD_SWEEP', `removed ${count} expired uploads, reclaimed ${bytes(size)}`)
+    } catch (e) {
+      this.log('warn', 'UPLOAD_SWEEP', e.message)
+    }
+  }
+
+  /**
+   * Returns the upload quota limits which apply to a request's user
+   * @param {external:ExpressRequest} req
+   * @return {Object|undefined} The user ID, tier name, quota duration (ms) and limits, or undefined for unauthenticated requests
+   */
+  getUploadQuotaLimits (req) {
+    const userId = req.auth?.user?._id?.toString()
+    if (!userId) {
+      return
+    }
+    const tiers = this.getConfig('uploadQuotaTiers') ?? {}
+    const tier = resolveRateLimitTier(req.auth, tiers)
+    const { size, files, duration = this.getConfig('uploadQuotaDuration') } = tiers[tier] ?? {}
+    return { userId, tier, duration, limits: { size, files } }
+  }
+
+  /**
+   * Returns the limiter for one type of upload quota in a tier
+   * @param {string} type The quota type (`size` or `files`)
+   * @param {string} tier Name of the tier
+   * @param {number} points The quota limit
+   * @param {number} duration Duration in milliseconds
+   * @return {Promise<external:RateLimiterAbstract>}
+   */
+  async getUploadQuotaLimiter (type, tier, points, duration) {
+    const key = `${type}_${tier}`
+    if (!this.uploadQuotaLimiters.has(key)) {
+      const mongodb = await this.app.waitForModule('mongodb')
+      const { db } = await mongodb.getStats()
+      this.uploadQuotaLimiters.set(key, new RateLimiterMongo({
+        storeClient: mongodb.client,
+        dbName: db,
+        tableName: 'uploadquotas',
+        keyPrefix: `uploadquota_${key}`,
+        points,
+        duration: duration / 1000
+      }))
+    }
+    return this.uploadQuotaLimiters.get(key)
+  }
+
+  /**
+   * Returns a user's current usage of each of their upload quotas
+   * @param {external:ExpressRequest} req
+   * @return {Promise<UploadQuotaState|undefined>} The quota state, or undefined for unauthenticated requests
+   */
+  async getUploadQuotaState (req) {
+    const quota = this.getUploadQuotaLimits(req)
+    if (!quota) {
+      return
+    }
+    const state = { tier: quota.tier }
+    for (const [type, limit] of Object.entries(quota.limits)) {
+      if (limit === undefined) continue
+      const limiter = await this.getUploadQuotaLimiter(type, quota.tier, limit, quota.duration)
+      const data = await limiter.get(quota.userId)
+      const used = data?.consumedPoints ?? 0
+      state[type] = { limit, used, remaining: Math.max(limit - used, 0), resetAt: data ? new Date(Date.now() + data.msBeforeNext) : undefined }
+    }
+    return state
+  }
+
+  /**
+   * Checks whether an upload would take a user over their upload quota
+   * @param {external:ExpressRequest} req
+   * @param {number} size Size of the upload in bytes (if known)
+   * @param {number} files Number of files in the upload
+   * @return {Promise<UploadQuotaState|undefined>} The quota state
+   */
+  async checkUploadQuota (req, size = 0, files = 1) {
+    const state = await this.getUploadQuotaState(req)
+    const exceeded = Object.entries({ files, size }).find(([type, value]) => state?.[type] && value > state[type].remaining)
+    if (exceeded) {
+      const [limit] = exceeded
+      const { limit: maxValue, remaining, resetAt } = state[limit]
+      throw this.app.errors.UPLOAD_QUOTA_EXCEEDED.setData({
+        limit,
+        maxValue: limit === 'size' ? bytes(maxValue) : maxValue,
+        remaining: limit === 'size' ? bytes(remaining) : remaining,
+        resetAt
+      })
+    }
+    return state
+  }
+
+  /**
+   * Adds uploaded files to a user's upload quota usage
+   * @param {external:ExpressRequest} req
+   * @param {Object} files Files object (as generated by formidable)
+   * @return {Promise}
+   */
+  async recordUploadQuota (req, files) {
+    const quota = this.getUploadQuotaLimits(req)
+    if (!quota) {
+      return
+    }
+    const filesArr = Object.values(files).flat()
+    const usage = { size: filesArr.reduce((total, f) => total + f.size, 0), files: filesArr.length }
+    await Promise.all(Object.entries(quota.limits).map(async ([type, limit]) => {
+      if (limit === undefined) return
+      const limiter = await this.getUploadQuotaLimiter(type, quota.tier, limit, quota.duration)
+      await limiter.penalty(quota.userId, usage[type])
+    }))
+  }
+
+  /**
+   * Returns the current user's remaining upload allowance
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async uploadQuotaHandler (req, res, next) {
+    try {
+      res.json(await this.getUploadQuotaState(req) ?? {})
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Returns the key used to store an upload's progress
+   * @param {external:ExpressRequest} req
+   * @param {string} id The upload progress ID
+   * @return {string|undefined} The key, or undefined if the ID is missing or invalid
+   */
+  getUploadProgressKey (req, id = req.get?.('X-Upload-Progress-Id')) {
+    if (typeof id === 'string' && /^[\w-]{8,64}$/.test(id)) {
+      return `${req.auth?.user?._id ?? ''}:${id}`
+    }
+  }
+
+  /**
+   * Updates an upload's progress, and sends it to any listeners
+   * @param {external:ExpressRequest} req
+   * @param {UploadProgress} data The updated progress data
+   */
+  setUploadProgress (req, data) {
+    const key = this.getUploadProgressKey(req)
+    if (!key) {
+      return
+    }
+    const progress = this.getUploadProgress(key)
+    const isThrottled = data.phase === progress.state.phase && !data.status &&
+      Date.now() - progress.updatedAt < this.getConfig('uploadProgressInterval')
+    Object.assign(progress.state, { status: 'active' }, data)
+    if (data.error) {
+      progress.state.error = req.translate?.(data.error) ?? data.error.message
+    }
+    if (isThrottled) {
+      return
+    }
+    progress.updatedAt = Date.now()
+    progress.listeners.forEach(res => this.sendUploadProgress(res, progress.state))
+  }
+
+  /**
+   * Returns the stored progress for an upload, creating it if needed
+   * @param {string} key The upload progress key
+   * @return {Object}
+   */
+  getUploadProgress (key) {
+    let progress = this.uploadProgress.get(key)
+    if (!progress) {
+      progress = { state: {}, listeners: new Set(), updatedAt: 0 }
+      this.uploadProgress.set(key, progress)
+    }
+    clearTimeout(progress.timer)
+    progress.timer = setTimeout(() => {
+      this.uploadProgress.delete(key)
+      progress.listeners.forEach(res => res.end())
+    }, this.getConfig('uploadProgressRetention')).unref()
+    return progress
+  }
+
+  /**
+   * Writes an upload's progress as a server-sent event
+   * @param {external:ExpressResponse} res
+   * @param {UploadProgress} state
+   */
+  sendUploadProgress (res, state) {
+    if (!state.status) {
+      return
+    }
+    res.write(`event: ${state.status}\ndata: ${JSON.stringify(state)}\n\n`)
+    res.flush?.() // make sure events aren't held back by compression
+  }
+
+  /**
+   * Streams the progress of an upload as server-sent events
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  uploadProgressHandler (req, res, next) {
+    const key = this.getUploadProgressKey(req, req.params.id)
+    if (!key) {
+      return next(this.app.errors.INVALID_PARAMS.setData({ params: ['id'] }))
+    }
+    const progress = this.getUploadProgress(key)
+    res.set({
+      'Cache-Control': 'no-store',
+      'Content-Type': 'text/event-stream',
+      'X-Accel-Buffering': 'no'
     })
-    // add custom middleware
-    server.root.addMiddleware(helmetFunc)
-    server.api.addMiddleware(
-      helmetFunc,
-      this.rateLimiter(),
-      this.bodyParserJson(),
-      this.bodyParserUrlEncoded(),
-      compression(),
-      this.addTranslationUtils.bind(this)
-    )
-    const config = await loadRouteConfig(this.rootDir, this)
-    if (config) registerRoutes(server.api, config.routes, auth)
+    res.flushHeaders()
+    this.sendUploadProgress(res, progress.state)
+    progress.listeners.add(res)
+    req.on('close', () => progress.listeners.delete(res))
   }
 
   /**
-   * Returns public config data
-   * @param {external:ExpressRequest} _req
+   * Validates uploaded files, then extracts metadata and unzips them if needed
+   * @param {external:ExpressRequest} req
+   * @param {Object} files Files object (as generated by formidable)
+   * @param {FileUploadOptions} options
+   * @return {Promise}
+   */
+  async processUploadedFiles (req, files, options) {
+    this.setUploadProgress(req, { phase: 'validating' })
+    const filesArr = Object.values(files).flat()
+    try {
+      await validateUploadedFiles(req, files, options, this.getFileValidators(options))
+    } catch (e) {
+      this.metrics.uploadRejections.inc()
+      throw e
+    }
+    this.metrics.uploadFiles.inc(filesArr.length)
+    this.metrics.uploadBytes.inc(filesArr.reduce((total, f) => total + f.size, 0))
+    if (options.extractMetadata) {
+      await Promise.all(filesArr.map(f => this.addFileMetadata(f)))
+    }
+    if (options.unzip) {
+      this.setUploadProgress(req, { phase: 'unzipping' })
+      await Promise.all(filesArr.map(f => this.unzipUpload(f, options)))
+    }
+    this.setUploadProgress(req, { status: 'complete' })
+  }
+
+  /**
+   * Returns the path of a resumable upload's data
+   * @param {string} id The upload ID
+   * @return {string}
+   */
+  getResumableUploadPath (id) {
+    return path.resolve(this.getConfig('uploadTempDir'), `resumable-${id}`)
+  }
+
+  /**
+   * Retrieves a resumable upload session
+   * @param {external:ExpressRequest} req
+   * @param {string} id The upload ID
+   * @return {Promise<ResumableUpload>}
+   */
+  async getResumableUpload (req, id) {
+    const unknownError = this.app.errors.UNKNOWN_UPLOAD.setData({ id })
+    if (!/^[0-9a-f]{32}$/.test(id)) {
+      throw unknownError
+    }
+    const filepath = this.getResumableUploadPath(id)
+    let session, stats
+    try {
+      session = JSON.parse(await fs.readFile(`${filepath}.json`))
+      stats = await fs.stat(filepath)
+    } catch (e) {
+      if (e.code === 'ENOENT') throw unknownError
+      throw e
+    }
+    if (session.userId !== req.auth?.user?._id?.toString()) {
+      throw unknownError
+    }
+    const expiresAt = session.updatedAt + this.getConfig('uploadTempDirMaxAge')
+    if (expiresAt < Date.now()) {
+      await this.removeResumableUpload(id)
+      throw unknownError
+    }
+    return { ...session, offset: stats.size, expiresAt: new Date(expiresAt) }
+  }
+
+  /**
+   * Lists a user's unexpired resumable upload sessions
+   * @param {string} userId The user's ID
+   * @return {Promise<Array<ResumableUpload>>}
+   */
+  async getOpenResumableUploads (userId) {
+    const dir = this.getConfig('uploadTempDir')
+    let names
+    try {
+      names = await fs.readdir(dir)
+    } catch (e) {
+      if (e.code === 'ENOENT') return []
+      throw e
+    }
+    const sessions = await Promise.all(names.filter(n => /^resumable-[0-9a-f]{32}\.json$/.test(n)).map(async n => {
+      try {
+        return JSON.parse(await fs.readFile(path.join(dir, n)))
+      } catch (e) {} // removed or being written
+    }))
+    const minUpdatedAt = Date.now() - this.getConfig('uploadTempDirMaxAge')
+    return sessions.filter(s => s && s.userId === userId && s.updatedAt >= minUpdatedAt)
+  }
+
+  /**
+   * Saves a resumable upload's session info, extending its expiry
+   * @param {ResumableUpload} session
+   * @return {Promise<ResumableUpload>} The updated session
+   */
+  async saveResumableUpload ({ id, length, filename, filetype, userId, offset }) {
+    const session = { id, length, filename, filetype, userId, updatedAt: Date.now() }
+    await fs.writeFile(`${this.getResumableUploadPath(id)}.json`, JSON.stringify(session))
+    return { ...session, offset, expiresAt: new Date(session.updatedAt + this.getConfig('uploadTempDirMaxAge')) }
+  }
+
+  /**
+   * Deletes a resumable upload's data and session info
+   * @param {string} id The upload ID
+   * @return {Promise}
+   */
+  async removeResumableUpload (id) {
+    const filepath = this.getResumableUploadPath(id)
+    await Promise.all([filepath, `${filepath}.json`].map(p => fs.rm(p, { force: true })))
+  }
+
+  /**
+   * Sets the tus headers describing a resumable upload
    * @param {external:ExpressResponse} res
+   * @param {ResumableUpload} session
    */
-  configRequestHandler (_req, res) {
-    res.json(this.app.config.getPublicConfig())
+  setResumableUploadHeaders (res, session) {
+    res.set({
+      'Cache-Control': 'no-store',
+      'Tus-Resumable': '1.0.0',
+      'Upload-Expires': session.expiresAt.toUTCString(),
+      'Upload-Length': session.length,
+      'Upload-Offset': session.offset
+    })
   }
 
   /**
-   * Returns lang strings for a specified locale
+   * Starts a resumable upload
    * @param {external:ExpressRequest} req
    * @param {external:ExpressResponse} res
    * @param {Function} next
    */
-  langRequestHandler (req, res, next) {
-    const lang = req.params.lang || req.acceptsLanguages(this.app.lang.supportedLanguages)
-    if (!lang || !this.app.lang.phrases[lang]) {
-      return next(this.app.errors.UNKNOWN_LANG.setData({ lang }))
+  async resumableUploadCreateHandler (req, res, next) {
+    try {
+      const length = Number(req.get('Upload-Length'))
+      if (!req.get('Upload-Length') || !Number.isSafeInteger(length) || length < 0) {
+        throw this.app.errors.INVALID_PARAMS.setData({ params: ['Upload-Length'] })
+      }
+      const maxSize = this.getConfig('resumableUploadMaxSize')
+      if (length > maxSize) {
+        throw this.app.errors.FILE_EXCEEDS_MAX_SIZE.setData({ maxSize: bytes(maxSize), size: bytes(length) })
+      }
+      const userId = req.auth?.user?._id?.toString()
+      // unfinished uploads count towards the quota, so it can't be bypassed by opening many sessions
+      const open = await this.getOpenResumableUploads(userId)
+      await this.checkUploadQuota(req, open.reduce((total, s) => total + s.length, length), open.length + 1)
+      const { filename, filetype } = parseUploadMetadata(req.get('Upload-Metadata'))
+      const id = randomBytes(16).toString('hex')
+      await fs.mkdir(this.getConfig('uploadTempDir'), { recursive: true })
+      await fs.writeFile(this.getResumableUploadPath(id), '')
+      const session = await this.saveResumableUpload({ id, length, filename, filetype, userId, offset: 0 })
+      this.setResumableUploadHeaders(res, session)
+      res.location(`${req.originalUrl.split('?')[0]}/${id}`).status(201).json({ id })
+    } catch (e) {
+      next(e)
     }
-    res.json(this.app.lang.phrases[lang])
   }
 
   /**
-   * Adds translation utilities to incoming API requests
+   * Returns the status of a resumable upload
    * @param {external:ExpressRequest} req
    * @param {external:ExpressResponse} res
    * @param {Function} next
    */
-  addTranslationUtils (req, res, next) {
-    const lang = req.acceptsLanguages(this.app.lang.supportedLanguages)
-    req.translate = (key, data) => this.app.lang.translate(lang, key, data)
-    next()
+  async resumableUploadStatusHandler (req, res, next) {
+    try {
+      const { id, length, offset, filename, filetype, expiresAt } = await this.getResumableUpload(req, req.params.id)
+      this.setResumableUploadHeaders(res, { length, offset, expiresAt })
+      res.json({ id, length, offset, filename, filetype, expiresAt })
+    } catch (e) {
+      next(e)
+    }
   }
 
   /**
-   * Limits how many requests indivual IPs can make
-   * @return {Function} Express middleware function
+   * Appends a chunk of data to a resumable upload
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
    */
-  async rateLimiter () {
-    const mongodb = await this.app.waitForModule('mongodb')
-    const { db } = await mongodb.getStats()
-    const rateLimiter = new RateLimiterMongo({
-      storeClient: mongodb.client,
-      dbName: db,
-      keyPrefix: 'ratelimiter',
-      points: this.getConfig('apiRequestLimit'),
-      duration: this.getConfig('apiRequestLimitDuration') / 1000
-    })
-    return async (req, res, next) => {
-      let resetAt
+  async resumableUploadPatchHandler (req, res, next) {
+    const { id } = req.params
+    if (this.resumableUploadLocks.has(id)) {
+      return next(this.app.errors.UPLOAD_LOCKED.setData({ id }))
+    }
+    this.resumableUploadLocks.add(id)
+    try {
+      let session = await this.getResumableUpload(req, id)
+      if (!req.is('application/offset+octet-stream')) {
+        throw this.app.errors.UNSUPPORTED_MEDIA_TYPE.setData({ type: req.headers['content-type'], acceptedTypes: ['application/offset+octet-stream'] })
+      }
+      const offset = Number(req.get('Upload-Offset'))
+      if (offset !== session.offset) {
+        throw this.app.errors.UPLOAD_OFFSET_MISMATCH.setData({ offset: req.get('Upload-Offset'), expectedOffset: session.offset })
+      }
+      const sizeLimiter = createSizeLimiter(session.length - offset, size => {
+        return this.app.errors.FILE_EXCEEDS_MAX_SIZE.setData({ maxSize: bytes(session.length), size: bytes(offset + size) })
+      })
       try {
-        const data = await rateLimiter.consume(req.ip)
-        resetAt = new Date(Date.now() + data.msBeforeNext)
-        res.set({
-          'Retry-After': data.msBeforeNext / 1000,
-          'X-RateLimit-Limit': this.getConfig('apiRequestLimit'),
-          'X-RateLimit-Remaining': data.remainingPoints,
-          'X-RateLimit-Reset': resetAt
-        })
-        next()
-      } catch (e) {
-        res.sendError(this.app.errors.RATE_LIMIT_EXCEEDED.setData({ url: req.url, resetAt }))
+        await pipeline(req, sizeLimiter, createWriteStream(this.getResumableUploadPath(id), { flags: 'a' }))
+      } finally {
+        session = await this.saveResumableUpload({ ...session, offset: offset + sizeLimiter.bytes })
       }
+      this.setResumableUploadHeaders(res, session)
+      res.status(204).end()
+    } catch (e) {
+      next(e)
+    } finally {
+      this.resumableUploadLocks.delete(id)
     }
   }
 
   /**
-   * Parses incoming JSON data to req.body
-   * @see https://github.com/expressjs/body-parser#bodyparserjsonoptions
-   * @return {Function} Express middleware function
+   * Cancels a resumable upload, deleting any data received
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
    */
-  bodyParserJson () {
-    return (req, res, next) => {
-      bodyParser.json()(req, res, (error, ...args) => {
-        if (error) return next(this.app.errors.BODY_PARSE_FAILED.setData({ error: error.message }))
-        if (req.body === undefined) req.body = {}
-        next(null, ...args)
-      })
+  async resumableUploadDeleteHandler (req, res, next) {
+    try {
+      await this.getResumableUpload(req, req.params.id)
+      await this.removeResumableUpload(req.params.id)
+      res.sendStatus(204)
+    } catch (e) {
+      next(e)
     }
   }
 
   /**
-   * Parses incoming URL-encoded data to req.body
-   * @see https://github.com/expressjs/body-parser#bodyparserurlencodedoptions
-   * @return {Function} Express middleware function
+   * Converts a finished resumable upload into formidable-style file data
+   * @param {external:ExpressRequest} req
+   * @param {string} id The upload ID
+   * @param {FileUploadOptions} options
+   * @return {Promise<Object>} The file data
    */
-  bodyParserUrlEncoded () {
-    return (req, res, next) => {
-      bodyParser.urlencoded({ extended: true })(req, res, (error, ...args) => {
-        if (error) return next(this.app.errors.BODY_PARSE_FAILED.setData({ error: error.message }))
-        next(null, ...args)
-      })
+  async completeResumableUpload (req, id, options) {
+    // data may still be being written (or the session saved) by a PATCH request
+    if (this.resumableUploadLocks.has(id)) {
+      throw this.app.errors.UPLOAD_LOCKED.setData({ id })
     }
+    this.resumableUploadLocks.add(id)
+    let session, filepath, originalFilename, newFilename
+    try {
+      session = await this.getResumableUpload(req, id)
+      if (session.offset < session.length) {
+        throw this.app.errors.INCOMPLETE_UPLOAD.setData({ id, offset: session.offset, length: session.length })
+      }
+      const sessionPath = this.getResumableUploadPath(id)
+      originalFilename = path.basename((session.filename ?? '').replace(/\\/g, '/')) || id
+      newFilename = `${randomBytes(16).toString('hex')}${path.extname(originalFilename)}`
+      filepath = path.join(path.dirname(sessionPath), newFilename)
+      await fs.rename(sessionPath, filepath)
+      await fs.rm(`${sessionPath}.json`, { force: true })
+    } finally {
+      this.resumableUploadLocks.delete(id)
+    }
+    let hash = null
+    if (options.hash) {
+      hash = createHash('sha256')
+      for await (const chunk of createReadStream(filepath)) hash.update(chunk)
+      hash = hash.digest('hex')
+    }
+    return { filepath, originalFilename, newFilename, mimetype: session.filetype, size: session.length, hash }
   }
 
   /**
-   * Sets default file upload options
-   * @param {object} options The initial options object
-   * @returns {FileUploadOptions}
+   * Adds metadata read from an uploaded file to its file data
+   * @param {Object} file File data (as generated by formidable)
+   * @return {Promise}
    */
-  setDefaultFileOptions (options = {}) {
-    Object.entries({
-      maxFileSize: this.getConfig('fileUploadMaxFileSize'),
-      multiples: true,
-      uploadDir: this.getConfig('uploadTempDir'),
-      promisify: false,
-      unzip: false,
-      removeZipSource: true
-    }).forEach(([k, v]) => {
-      if (k === 'expectedFileTypes' && !Array.isArray(v)) v = [v]
-      if (!Object.prototype.hasOwnProperty.call(options, k)) options[k] = v
-    })
+  async addFileMetadata (file) {
+    file.metadata = await readFileMetadata(file.filepath, file.mimetype)
+  }
+
+  /**
+   * Unzips an uploaded zip file in place, within the unzip limits
+   * @param {Object} file File data (as generated by formidable)
+   * @param {FileUploadOptions} options
+   * @return {Promise}
+   */
+  async unzipUpload (file, options) {
+    if (!this.isZip(file.mimetype)) {
+      return
+    }
+    const limits = {
+      maxCompressionRatio: options.unzipMaxCompressionRatio,
+      maxDepth: options.unzipMaxDepth,
+      maxEntries: options.unzipMaxEntries,
+      maxSize: typeof options.unzipMaxSize === 'string' ? bytes(options.unzipMaxSize) : options.unzipMaxSize
+    }
+    const assertWithinLimits = entries => {
+      const failure = checkZipEntries(entries, limits)
+      if (failure) throw this.app.errors.UNSAFE_ZIP.setData({ file: file.originalFilename, ...failure })
+    }
+    let entries
+    try {
+      entries = await readZipEntries(file.filepath)
+    } catch (e) {
+      throw this.app.errors.UNSAFE_ZIP.setData({ file: file.originalFilename, limit: 'format', error: e.message })
+    }
+    assertWithinLimits(entries)
+
+    const unzipDir = `${file.filepath}_unzip`
+    try {
+      await unzip(file.filepath, unzipDir, { removeSource: options.removeZipSource })
+      const extracted = await Promise.all((await fs.readdir(unzipDir, { recursive: true })).map(async name => {
+        const stats = await fs.lstat(path.join(unzipDir, name))
+        return { name, uncompressedSize: stats.size, isDirectory: stats.isDirectory(), isSymlink: stats.isSymbolicLink() }
+      }))
+      assertWithinLimits(extracted)
+    } catch (e) {
+      await fs.rm(unzipDir, { recursive: true, force: true })
+      throw e
+    }
+    file.mimetype = 'application/zip' // always set to the same value for easier checking elsewhere
+    file.filepath = unzipDir
   }
 
   /**
@@ -183,26 +2041,63 @@ class MiddlewareModule extends AbstractModule {
         if (options.promisify) {
           next = e => e ? reject(e) : resolve()
         }
-        if (!req.headers['content-type']?.startsWith('multipart/form-data')) {
+        const fail = async error => {
+          middleware.setUploadProgress(req, { status: 'failed', error })
+          await middleware.removeUploadedFiles(req)
+          next(error)
+        }
+        const isMultipart = req.headers['content-type']?.startsWith('multipart/form-data')
+        if (!isMultipart && req.body?.uploadId) { // file was sent as a resumable upload
+          const files = {}
+          try {
+            files.file = [await middleware.completeResumableUpload(req, req.body.uploadId, options)]
+            middleware.trackUploadedFiles(req, ...files.file)
+            await middleware.checkUploadQuota(req, files.file[0].size)
+            await middleware.processUploadedFiles(req, files, options)
+            await middleware.recordUploadQuota(req, files)
+          } catch (e) {
+            return fail(e)
+          }
+          Object.assign(req, { fileUpload: { files } })
+          return next()
+        }
+        if (!isMultipart) {
           return next()
         }
+        let quotaSize
+        try {
+          // the request body is slightly bigger than the files it contains, but is the best estimate available before parsing
+          quotaSize = (await middleware.checkUploadQuota(req, Number(req.headers['content-length']) || 0))?.size?.remaining ?? Infinity
+        } catch (e) {
+          return fail(e)
+        }
         try {
           await fs.mkdir(options.uploadDir, { recursive: true })
         } catch (e) {
           if (e.code !== 'EEXIST') return next(e)
         }
-        // formidable aborts early at maxFileSize, so cap parsing at the largest per-type limit
-        const byType = options.maxFileSizeByType
-        const parseMaxFileSize = byType
-          ? Math.max(options.maxFileSize, ...Object.values(byType).map(v => typeof v === 'number' ? v : bytes(v)))
-          : options.maxFileSize
-        formidable({ ...options, maxFileSize: parseMaxFileSize }).parse(req, async (error, fields, files) => {
+        // formidable aborts early at maxFileSize, so cap parsing at the largest per-type limit (and the remaining quota)
+        const maxSize = resolveMaxUploadSize(options)
+        const form = formidable({
+          ...options,
+          maxFileSize: maxSize,
+          // formidable ignores a limit of 0, so an exhausted quota still allows a byte (which is then refused below)
+          maxTotalFileSize: Math.max(Math.min(maxSize, quotaSize), 1),
+          hashAlgorithm: options.hash ? 'sha256' : options.hashAlgorithm
+        })
+        form.on('fileBegin', (name, file) => middleware.trackUploadedFiles(req, file))
+        form.on('progress', (bytesReceived, bytesExpected) => {
+          middleware.setUploadProgress(req, { phase: 'receiving', bytesReceived, bytesExpected })
+        })
+        form.parse(req, async (error, fields, files) => {
           if (error) {
-            if (error.code === 1009) {
+            if (error.code === 1009 && quotaSize < maxSize) {
+              error = App.instance.errors.UPLOAD_QUOTA_EXCEEDED.setData({ limit: 'size', remaining: bytes(quotaSize) })
+            } else if (error.code === 1009) {
               const [maxSize, size] = error.message.match(/(\d+) bytes/g).map(s => bytes(Number(s.replace(' bytes', ''))))
               error = App.instance.errors.FILE_EXCEEDS_MAX_SIZE.setData({ maxSize, size })
             }
-            return next(error)
+            return fail(error)
           }
           // covert fields back from arrays and add to body
           Object.keys(fields).forEach(k => {
@@ -211,21 +2106,16 @@ class MiddlewareModule extends AbstractModule {
             req.body[k] = val
           })
           if (Object.keys(files).length === 0) { // no files uploaded
+            middleware.setUploadProgress(req, { status: 'complete' })
             return next()
           }
           try {
-            await validateUploadedFiles(req, files, options)
+            const filesArr = Object.values(files).flat()
+            await middleware.checkUploadQuota(req, filesArr.reduce((total, f) => total + f.size, 0), filesArr.length)
+            await middleware.processUploadedFiles(req, files, options)
+            await middleware.recordUploadQuota(req, files)
           } catch (e) {
-            return next(e)
-          }
-          if (options.unzip) {
-            await Promise.all(Object.entries(files).map(async ([k, [f]]) => {
-              if (!middleware.isZip(f.mimetype)) {
-                return Promise.resolve()
-              }
-              f.mimetype = 'application/zip' // always set to the same value for easier checking elsewhere
-              f.filepath = await unzip(f.filepath, `${f.filepath}_unzip`, { removeSource: options.removeZipSource || true })
-            }))
+            return fail(e)
           }
           Object.assign(req, { fileUpload: { files } })
           next()
@@ -234,6 +2124,56 @@ class MiddlewareModule extends AbstractModule {
     }
   }
 
+  /**
+   * Requests a remote file for upload, refusing blocked and private hosts
+   * @param {string} url The URL to fetch
+   * @return {Promise<external:AxiosResponse>} The response, with the body as a stream
+   */
+  async fetchUploadUrl (url) {
+    const hosts = {
+      allowedHosts: this.getConfig('urlUploadAllowedHosts'),
+      blockedHosts: this.getConfig('urlUploadBlockedHosts')
+    }
+    let blockedError
+    const block = (blockedUrl, reason) => {
+      blockedError = this.app.errors.BLOCKED_ASSET_URL.setData({ url: blockedUrl, reason })
+      return blockedError
+    }
+    const reason = getUrlBlockReason(url, hosts)
+    if (reason) throw block(url, reason)
+    let currentUrl = url
+    try {
+      return await axios.get(url, {
+        responseType: 'stream',
+        // a proxy would make the connection, so the resolved addresses couldn't be checked
+        proxy: false,
+        maxRedirects: this.getConfig('urlUploadMaxRedirects'),
+        timeout: this.getConfig('urlUploadConnectTimeout'),
+        signal: AbortSignal.timeout(this.getConfig('urlUploadTimeout')),
+        beforeRedirect: ({ href }) => {
+          const reason = getUrlBlockReason(href, hosts)
+          if (reason) throw block(href, reason)
+          currentUrl = href
+        },
+        // resolved addresses are checked at connection time so a hostname can't be re-pointed after validation
+        lookup: (hostname, opts, cb) => {
+          dns.lookup(hostname, { ...opts, all: true }, (error, addresses) => {
+            if (error) return cb(error)
+            const privateAddress = addresses.find(a => isPrivateAddress(a.address))
+            if (privateAddress) return cb(block(currentUrl, `address ${privateAddress.address} not allowed`))
+            opts.all ? cb(null, addresses) : cb(null, addresses[0].address, addresses[0].family)
+          })
+        }
+      })
+    } catch (e) {
+      if (blockedError) throw blockedError
+      if (e.code === 'ERR_FR_TOO_MANY_REDIRECTS' || (e.response?.status >= 300 && e.response?.status < 400)) {
+        throw block(url, 'too many redirects')
+      }
+      throw e
+    }
+  }
+
   /**
    * Handles incoming file uploads via URL
    * @param {Array<String>} expectedFileTypes List of file types to accept
@@ -254,50 +2194,185 @@ class MiddlewareModule extends AbstractModule {
         if (!req.body.url) {
           return next()
         }
-        let responseData
+        const fail = async error => {
+          middleware.setUploadProgress(req, { status: 'failed', error })
+          await middleware.removeUploadedFiles(req)
+          next(error)
+        }
+        middleware.setUploadProgress(req, { phase: 'receiving', bytesReceived: 0 })
+        let response
         try {
-          responseData = (await axios.get(req.body.url, { responseType: 'stream' })).data
+          await middleware.checkUploadQuota(req)
+          response = await middleware.fetchUploadUrl(req.body.url)
         } catch (e) {
-          if (e.code === 'ERR_INVALID_URL' || e.response.status === 404) {
-            return next(this.app.errors.INVALID_ASSET_URL.setData({ url: req.body.url }))
+          if (e.code === 'ERR_INVALID_URL' || e.response?.status === 404) {
+            return fail(this.app.errors.INVALID_ASSET_URL.setData({ url: req.body.url }))
           }
-          return next(e)
+          return fail(e)
+        }
+        try {
+          await middleware.checkUploadQuota(req, Number(response.headers['content-length']) || 0)
+        } catch (e) {
+          response.data.destroy()
+          return fail(e)
+        }
+        let file
+        try {
+          file = await middleware.downloadUploadFile(response, options, (bytesReceived, bytesExpected) => {
+            middleware.setUploadProgress(req, { phase: 'receiving', bytesReceived, bytesExpected })
+          })
+          middleware.trackUploadedFiles(req, file)
+          await middleware.checkUploadQuota(req, file.size)
+          await middleware.processUploadedFiles(req, { file: [file] }, options)
+          await middleware.recordUploadQuota(req, { file: [file] })
+        } catch (e) {
+          return fail(e)
         }
-        const contentType = responseData.headers['content-type']
-        const subtype = contentType.split('/')[1]
-        const fileName = `${new Date().getTime()}.${subtype}`
-        const uploadPath = path.resolve(options.uploadDir, fileName)
         // set up file data to mimic formidable
-        const fileData = {
-          fields: req.apiData.data,
-          files: {
-            file: [{
-              filepath: uploadPath,
-              originalFilename: fileName,
-              newFilename: fileName,
-              mimetype: contentType,
-              size: Number(responseData.headers['content-length'])
-            }]
+        req.fileUpload = { fields: req.apiData.data, files: { file: [file] } }
+        next()
+      })
+    }
+  }
+
+  /**
+   * Handles files sent as the raw request body, or base64 in a JSON body
+   * @param {Array<String>} expectedFileTypes List of file types to accept
+   * @param {FileUploadOptions} options
+   * @return {Function} The Express handler
+   */
+  rawUploadParser (expectedFileTypes, options = {}) {
+    options.expectedFileTypes = expectedFileTypes
+    return (req, res, next) => {
+      // Below is wrapped in a promise so other code can use the Promise interface rather than a standard callback
+      return new Promise(async (resolve, reject) => { // eslint-disable-line no-async-promise-executor
+        const middleware = await App.instance.waitForModule('middleware')
+        middleware.setDefaultFileOptions(options)
+
+        if (options.promisify) {
+          next = e => e ? reject(e) : resolve()
+        }
+        const fail = async error => {
+          middleware.setUploadProgress(req, { status: 'failed', error })
+          await middleware.removeUploadedFiles(req)
+          next(error)
+        }
+        const bodyType = req.is(['json', 'urlencoded', 'multipart'])
+        const encoded = req.body?.[options.rawUploadField]
+        let stream, declared
+        if (bodyType === false) { // the body is the file
+          const mimetype = (req.headers['content-type'] ?? '').split(';')[0].trim() || undefined
+          declared = {
+            size: Number(req.headers['content-length']),
+            mimetype: mimetype === 'application/octet-stream' ? undefined : mimetype,
+            originalFilename: getUploadFileName({ contentDisposition: req.headers['content-disposition'], mimetype })
+          }
+          stream = req
+        } else if (bodyType === 'json' && typeof encoded === 'string') {
+          const decoded = decodeBase64Upload(encoded)
+          if (!decoded) {
+            return next(this.app.errors.INVALID_PARAMS.setData({ params: [options.rawUploadField] }))
+          }
+          delete req.body[options.rawUploadField]
+          declared = {
+            size: decoded.data.length,
+            mimetype: decoded.mimetype,
+            originalFilename: getUploadFileName({ filename: req.body.filename, mimetype: decoded.mimetype })
           }
+          stream = Readable.from([decoded.data])
+        } else {
+          return next()
         }
-        let fileStream
+        let file
         try {
-          validateUploadedFiles(req, fileData.files, options)
-          await fs.mkdir(options.uploadDir, { recursive: true })
-          fileStream = createWriteStream(uploadPath)
+          await middleware.checkUploadQuota(req, declared.size || 0)
+          file = await middleware.saveUploadStream(stream, declared, options, (bytesReceived, bytesExpected) => {
+            middleware.setUploadProgress(req, { phase: 'receiving', bytesReceived, bytesExpected })
+          })
+          middleware.trackUploadedFiles(req, file)
+          await middleware.checkUploadQuota(req, file.size)
+          await middleware.processUploadedFiles(req, { file: [file] }, options)
+          await middleware.recordUploadQuota(req, { file: [file] })
         } catch (e) {
-          if (e.code !== 'EEXIST') return next(e)
+          return fail(e)
         }
-        responseData.pipe(fileStream).on('close', async () => {
-          req.fileUpload = fileData
-          if (subtype === 'zip' && options.unzip) {
-            req.fileUpload.files.course.filepath = await unzip(uploadPath, `${uploadPath}_unzip`, { removeSource: options.removeSource })
-          }
-          next()
-        }).on('error', next)
+        req.fileUpload = { files: { file: [file] } }
+        next()
       })
     }
   }
+
+  /**
+   * Streams a remote file to the upload directory (see saveUploadStream)
+   * @param {external:AxiosResponse} response Response from fetchUploadUrl
+   * @param {FileUploadOptions} options
+   * @param {Function} onProgress Called with the bytes received and expected
+   * @return {Promise<Object>} File data matching the format used by formidable
+   */
+  async downloadUploadFile (response, options, onProgress) {
+    const declaredType = response.headers['content-type']?.split(';')[0].trim()
+    const originalFilename = getUploadFileName({
+      url: response.request?.res?.responseUrl ?? response.config?.url,
+      contentDisposition: response.headers['content-disposition'],
+      mimetype: declaredType
+    })
+    try {
+      return await this.saveUploadStream(response.data, {
+        size: Number(response.headers['content-length']),
+        mimetype: declaredType,
+        originalFilename
+      }, options, onProgress)
+    } catch (e) {
+      response.data.destroy()
+      throw e
+    }
+  }
+
+  /**
+   * Writes a stream of file data to the upload directory
+   * @param {external:Readable} stream The file data
+   * @param {Object} data What is known about the file before it's written
+   * @param {number} data.size The declared size in bytes
+   * @param {string} data.mimetype The declared MIME type
+   * @param {string} data.originalFilename The file's original name
+   * @param {FileUploadOptions} options
+   * @param {Function} onProgress Called with the bytes received and expected
+   * @return {Promise<Object>} File data matching the format used by formidable
+   */
+  async saveUploadStream (stream, { size: declaredSize, mimetype: declaredType, originalFilename }, options, onProgress) {
+    const maxSize = resolveMaxUploadSize(options)
+    if (declaredSize > maxSize) {
+      throw this.app.errors.FILE_EXCEEDS_MAX_SIZE.setData({ maxSize: bytes(maxSize), size: bytes(declaredSize) })
+    }
+    const newFilename = `${randomBytes(16).toString('hex')}${path.extname(originalFilename)}`
+    const filepath = path.resolve(options.uploadDir, newFilename)
+    const hash = options.hash ? createHash('sha256') : null
+    const sizeLimiter = createSizeLimiter(maxSize, size => {
+      return this.app.errors.FILE_EXCEEDS_MAX_SIZE.setData({ maxSize: bytes(maxSize), size: bytes(size) })
+    })
+    try {
+      await fs.mkdir(options.uploadDir, { recursive: true })
+      await pipeline(stream, sizeLimiter, async function * (chunks) {
+        for await (const chunk of chunks) {
+          hash?.update(chunk)
+          onProgress?.(sizeLimiter.bytes, declaredSize || undefined)
+          yield chunk
+        }
+      }, createWriteStream(filepath))
+    } catch (e) {
+      await fs.rm(filepath, { force: true })
+      throw e
+    }
+    return {
+      filepath,
+      originalFilename,
+      newFilename,
+      // declared types can't be trusted, so prefer the type detected from the file itself
+      mimetype: (await fileTypeFromFile(filepath))?.mime ?? declaredType,
+      size: sizeLimiter.bytes,
+      hash: hash?.digest('hex') ?? null
+    }
+  }
 }
 
 export default MiddlewareModule
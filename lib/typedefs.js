@@ -8,7 +8,176 @@
  * @property {number} maxFileSize Maximum file size allowed by upload (the global fallback)
  * @property {Object} maxFileSizeByType Optional per-MIME-category size overrides, keyed by top-level category (e.g. `image`, `video`); values are byte counts or `bytes`-parsable strings. Categories without an entry use `maxFileSize`
  * @property {string} uploadDir Directory file upload should be stored
+ * @property {Array<string>} expectedFileTypes File types to accept. May be MIME types, wildcards such as `image/*`, or extensions such as `.srt`
+ * @property {Boolean} extractMetadata Whether to read basic metadata from each file's headers and add it to the file data as `metadata` (see `FileMetadata`)
+ * @property {Array<string>} fileValidators Names of registered file validators to run against the uploaded files (defaults to the `fileValidators` config)
+ * @property {Boolean} hash Whether to compute a SHA-256 hash of each file as it's uploaded, which is added to the file data as `hash` (a hex string)
  * @property {Boolean} promisify If true, middleware will return a promise rather than use the standard callback. Useful when calling middleware outside of an Express middleware stack
+ * @property {Boolean} strictFileTypes Whether to always inspect file contents, and reject files whose extension or declared MIME type disagrees with them (defaults to the `strictFileTypes` config)
+ * @property {Object<string, string>} textFileTypes Map of extensions to MIME types for text formats which can't be detected from their contents (defaults to the `textFileTypes` config, plus any registered with `addTextFileTypes`)
+ * @property {string} rawUploadField Name of the JSON body field containing base64-encoded file data for `rawUploadParser` (`file` by default)
  * @property {Boolean} removeZipSource To be used in conjunction with the unzip option. Whether the original zip file should be removed after unzipping (true by default)
  * @property {Boolean} unzip Whether any zip files should be unzipped by the handler
+ * @property {number} unzipMaxCompressionRatio Maximum ratio of total uncompressed to compressed size when unzipping (defaults to the `unzipMaxCompressionRatio` config)
+ * @property {number} unzipMaxDepth Maximum folder nesting depth when unzipping (defaults to the `unzipMaxDepth` config)
+ * @property {number} unzipMaxEntries Maximum number of files and folders when unzipping (defaults to the `unzipMaxEntries` config)
+ * @property {number|string} unzipMaxSize Maximum total uncompressed size when unzipping, as a byte count or `bytes`-parsable string (defaults to the `unzipMaxSize` config)
+ */
+/**
+ * A named rate limit tier
+ * @memberof middleware
+ * @typedef {Object} RateLimitTier
+ * @property {number} points Number of points allowed within the duration (defaults to `apiRequestLimit`)
+ * @property {number} duration Time in milliseconds before points are reset (defaults to `apiRequestLimitDuration`)
+ * @property {Array<string>} scopes Scopes a user must hold to be placed in this tier
+ */
+/**
+ * A per-route rate limit rule
+ * @memberof middleware
+ * @typedef {Object} RateLimitRule
+ * @property {string} route Route pattern relative to the API root, may contain `:params` and `*` wildcards
+ * @property {Array<string>} methods HTTP methods the rule applies to (all if omitted)
+ * @property {number|Object} cost Points charged per request, or a map of lower-case HTTP method (or `*`) to points
+ * @property {number} points If set, requests are charged to a dedicated bucket for this route with this many points
+ * @property {number} duration If set, requests are charged to a dedicated bucket for this route with this duration
+ */
+/**
+ * Content types accepted and produced by a route in addition to the API defaults
+ * @memberof middleware
+ * @typedef {Object} ContentTypeRule
+ * @property {string} route Route pattern relative to the API root, may contain `:params` and `*` wildcards
+ * @property {Array<string>} methods HTTP methods the rule applies to (all if omitted)
+ * @property {Array<string>} accepts Additional request body types the route accepts
+ * @property {Array<string>} produces Additional response types the route can produce
+ */
+/**
+ * CORS options for a request
+ * @memberof middleware
+ * @typedef {Object} CorsOptions
+ * @property {Array<string>} origins Allowed origin patterns (see `corsOrigins`)
+ * @property {Array<string>} allowedMethods HTTP methods cross-origin requests may use
+ * @property {Array<string>} allowedHeaders Request headers cross-origin requests may send (any if empty)
+ * @property {Array<string>} exposedHeaders Response headers cross-origin clients may read
+ * @property {Boolean} credentials Whether cross-origin requests may include credentials
+ * @property {number} maxAge How long browsers may cache preflight results, in milliseconds
+ */
+/**
+ * CORS options for a route which override the API defaults
+ * @memberof middleware
+ * @typedef {Object} CorsRule
+ * @property {string} route Route pattern relative to the API root, may contain `:params` and `*` wildcards
+ * @property {Array<string>} methods HTTP methods the rule applies to (all if omitted)
+ * @property {Array<string>} origins Allowed origin patterns (an empty array disables CORS for the route)
+ * @property {Array<string>} allowedHeaders Request headers cross-origin requests may send
+ * @property {Array<string>} exposedHeaders Response headers cross-origin clients may read
+ * @property {Boolean} credentials Whether cross-origin requests may include credentials
+ * @property {number} maxAge How long browsers may cache preflight results, in milliseconds
+ */
+/**
+ * An entry in a zip file
+ * @memberof middleware
+ * @typedef {Object} ZipEntry
+ * @property {string} name Path of the entry within the zip
+ * @property {number} compressedSize Compressed size in bytes
+ * @property {number} uncompressedSize Uncompressed size in bytes
+ * @property {Boolean} isDirectory Whether the entry is a folder
+ * @property {Boolean} isSymlink Whether the entry is a symbolic link
+ */
+/**
+ * A validator run against uploaded files
+ * @memberof middleware
+ * @typedef {Object} FileValidator
+ * @property {string} name Unique name for the validator
+ * @property {Function} validate Async function called with the file data and `{ req, options }`, should throw an app error to reject the file
+ * @property {Array<string>} mimeTypes Only files of these types are validated (all files if omitted). Accepts the same patterns as `expectedFileTypes`
+ */
+/**
+ * Basic metadata read from an uploaded file's headers. Only properties relevant to the file's type (and which could be read) are set
+ * @memberof middleware
+ * @typedef {Object} FileMetadata
+ * @property {number} width Width of an image in pixels
+ * @property {number} height Height of an image in pixels
+ * @property {number} duration Duration of audio or video in seconds
+ * @property {number} pageCount Number of pages in a PDF
+ */
+/**
+ * A resumable upload session
+ * @memberof middleware
+ * @typedef {Object} ResumableUpload
+ * @property {string} id Unique ID for the upload
+ * @property {number} length Total size of the upload in bytes
+ * @property {number} offset Number of bytes received so far
+ * @property {string} filename The file's original name, from the `Upload-Metadata` header
+ * @property {string} filetype The file's MIME type, from the `Upload-Metadata` header
+ * @property {string} userId ID of the user who started the upload
+ * @property {number} updatedAt Time the upload was last modified
+ * @property {Date} expiresAt Time the upload will expire if no more data is received
+ */
+/**
+ * The progress of an upload, as sent to upload progress listeners
+ * @memberof middleware
+ * @typedef {Object} UploadProgress
+ * @property {string} status One of `active`, `complete` or `failed`
+ * @property {string} phase The current (or failed) phase, one of `receiving`, `validating` or `unzipping`
+ * @property {number} bytesReceived Number of bytes received so far
+ * @property {number} bytesExpected Total number of bytes expected, if known
+ * @property {string} error Translated error message if the upload failed
+ */
+/**
+ * A user's usage of their upload quotas. Only quotas set for the user's tier are included
+ * @memberof middleware
+ * @typedef {Object} UploadQuotaState
+ * @property {string} tier Name of the user's upload quota tier
+ * @property {{ limit: number, used: number, remaining: number, resetAt: Date }} size Total bytes uploaded
+ * @property {{ limit: number, used: number, remaining: number, resetAt: Date }} files Number of files uploaded
+ */
+/**
+ * A serialised set of lang strings, ready to be sent to clients
+ * @memberof middleware
+ * @typedef {Object} LangResponse
+ * @property {string} body The JSON-serialised phrases
+ * @property {string} etag ETag generated from the body
+ * @property {Buffer} gzip The gzipped body (only set if `langPreSerialise` is enabled)
+ */
+/**
+ * A Content-Security-Policy violation reported by a browser
+ * @memberof middleware
+ * @typedef {Object} CspViolation
+ * @property {string} directive The directive which was violated
+ * @property {string} blockedUri The resource which was blocked (or `inline`/`eval`)
+ * @property {string} documentUri The page the violation happened on
+ * @property {string} sourceFile The file which caused the violation, if known
+ * @property {number} lineNumber The line in `sourceFile` which caused the violation, if known
+ * @property {string} disposition `enforce` if the resource was blocked, or `report` in report-only mode
+ * @property {number} count Number of times the violation has been reported (recorded violations only)
+ */
+/**
+ * Middleware registered with the middleware module
+ * @memberof middleware
+ * @typedef {Object} MiddlewareEntry
+ * @property {string} name Unique name of the middleware within its router
+ * @property {Function} handler The Express middleware function
+ * @property {string} router The router to add the middleware to, either `root` or `api` (defaults to `api`)
+ * @property {Array<string>} before Names of middleware this must run before
+ * @property {Array<string>} after Names of middleware this must run after
+ * @property {Boolean} required Whether the middleware can't be disabled, because other code relies on it
+ * @property {Boolean} enabled Whether the middleware is run (resolved stacks only)
+ */
+/**
+ * Options used to parse request bodies
+ * @memberof middleware
+ * @typedef {Object} BodyParserOptions
+ * @property {number|string} limit Maximum body size, in bytes or as a `bytes`-parsable string
+ * @property {Boolean} strict Whether JSON and YAML bodies must be an object or array
+ * @property {number} depth Maximum nesting depth of objects and arrays in parsed bodies
+ */
+/**
+ * Body parser options for a route, which override the API defaults
+ * @memberof middleware
+ * @typedef {Object} BodyParserRule
+ * @property {string} route Route pattern relative to the API root, may contain `:params` and `*` wildcards
+ * @property {Array<string>} methods HTTP methods the rule applies to (all if omitted)
+ * @property {number|string} limit Maximum body size
+ * @property {Boolean} strict Whether JSON and YAML bodies must be an object or array
+ * @property {number} depth Maximum nesting depth of objects and arrays in parsed bodies
  */
@@ -1,2 +1,31 @@
+export { default as checkZipEntries } from './utils/checkZipEntries.js'
+export { default as createSizeLimiter } from './utils/createSizeLimiter.js'
+export { default as decodeBase64Upload } from './utils/decodeBase64Upload.js'
+export { default as detectFileType } from './utils/detectFileType.js'
+export { default as exceedsDepth } from './utils/exceedsDepth.js'
+export { default as filterLangPhrases } from './utils/filterLangPhrases.js'
+export { default as getFileTypeMismatch } from './utils/getFileTypeMismatch.js'
+export { default as getLanguageName } from './utils/getLanguageName.js'
+export { default as getLocaleFallbacks } from './utils/getLocaleFallbacks.js'
+export { default as getUploadFileName } from './utils/getUploadFileName.js'
+export { default as getUrlBlockReason } from './utils/getUrlBlockReason.js'
+export { default as isPrivateAddress } from './utils/isPrivateAddress.js'
+export { default as matchFileType } from './utils/matchFileType.js'
+export { default as matchHost } from './utils/matchHost.js'
+export { default as matchOrigin } from './utils/matchOrigin.js'
+export { default as matchRoute } from './utils/matchRoute.js'
+export { default as matchRouteRule } from './utils/matchRouteRule.js'
+export { default as parseCspReports } from './utils/parseCspReports.js'
+export { default as parseUploadMetadata } from './utils/parseUploadMetadata.js'
+export { default as readFileMetadata } from './utils/readFileMetadata.js'
+export { default as readZipEntries } from './utils/readZipEntries.js'
+export { default as redactFields } from './utils/redactFields.js'
+export { default as removeExpiredFiles } from './utils/removeExpiredFiles.js'
+export { default as resolveContentTypes } from './utils/resolveContentTypes.js'
 export { default as resolveFileSizeLimit } from './utils/resolveFileSizeLimit.js'
+export { default as resolveMaxUploadSize } from './utils/resolveMaxUploadSize.js'
+export { default as resolveRateLimitRule } from './utils/resolveRateLimitRule.js'
+export { default as resolveRateLimitTier } from './utils/resolveRateLimitTier.js'
+export { default as resolveRouteOptions } from './utils/resolveRouteOptions.js'
+export { default as sortMiddleware } from './utils/sortMiddleware.js'
 export { validateUploadedFiles } from './utils/validateUploadedFiles.js'
@@ -0,0 +1,44 @@
+/**
+ * Checks a list of zip entries against the unzip limits, and for paths which would be written outside of the destination folder
+ * @param {Array<ZipEntry>} entries The entries to check. Entries without a `compressedSize` are ignored when checking the compression ratio
+ * @param {Object} limits
+ * @param {number} limits.maxSize Maximum total uncompressed size in bytes
+ * @param {number} limits.maxEntries Maximum number of entries
+ * @param {number} limits.maxCompressionRatio Maximum ratio of total uncompressed to compressed size
+ * @param {number} limits.maxDepth Maximum folder nesting depth of any entry
+ * @returns {Object|undefined} Details of the first limit broken (`limit`, `value`, `maxValue` and the offending `entry` where relevant), or undefined if there are none
+ * @memberof middleware
+ */
+export default function checkZipEntries (entries, { maxSize, maxEntries, maxCompressionRatio, maxDepth } = {}) {
+  if (maxEntries !== undefined && entries.length > maxEntries) {
+    return { limit: 'maxEntries', value: entries.length, maxValue: maxEntries }
+  }
+  let totalSize = 0
+  let totalCompressed = 0
+  for (const entry of entries) {
+    const name = entry.name.replace(/\\/g, '/')
+    const segments = name.split('/').filter(s => s && s !== '.')
+    if (name.startsWith('/') || /^[a-z]:/i.test(name)) {
+      return { limit: 'absolutePath', entry: entry.name }
+    }
+    if (segments.includes('..')) {
+      return { limit: 'pathTraversal', entry: entry.name }
+    }
+    if (entry.isSymlink) {
+      return { limit: 'symlink', entry: entry.name }
+    }
+    const depth = entry.isDirectory ? segments.length : segments.length - 1
+    if (maxDepth !== undefined && depth > maxDepth) {
+      return { limit: 'maxDepth', value: depth, maxValue: maxDepth, entry: entry.name }
+    }
+    totalSize += entry.uncompressedSize ?? 0
+    totalCompressed += entry.compressedSize ?? 0
+  }
+  if (maxSize !== undefined && totalSize > maxSize) {
+    return { limit: 'maxSize', value: totalSize, maxValue: maxSize }
+  }
+  const ratio = totalCompressed ? totalSize / totalCompressed : 0
+  if (maxCompressionRatio !== undefined && ratio > maxCompressionRatio) {
+    return { limit: 'maxCompressionRatio', value: Math.round(ratio), maxValue: maxCompressionRatio }
+  }
+}
@@ -0,0 +1,22 @@
+import { Transform } from 'stream'
+
+/**
+ * Creates a pass-through stream which counts the bytes written to it, and errors as soon as the count goes over the limit
+ * @param {number} maxSize The size limit in bytes
+ * @param {Function} makeLimitError Function which is passed the number of bytes received, and returns the error to emit when over the limit
+ * @returns {Transform} The stream. The number of bytes received so far is available as `bytes`
+ * @memberof middleware
+ */
+export default function createSizeLimiter (maxSize, makeLimitError) {
+  const limiter = new Transform({
+    transform (chunk, encoding, callback) {
+      limiter.bytes += chunk.length
+      if (limiter.bytes > maxSize) {
+        return callback(makeLimitError(limiter.bytes))
+      }
+      callback(null, chunk)
+    }
+  })
+  limiter.bytes = 0
+  return limiter
+}
@@ -0,0 +1,24 @@
+/**
+ * Decodes file data sent as a string, either as a data URI (e.g. `data:image/png;base64,iVBOR...`) or plain base64
+ * @param {string} value The encoded file data
+ * @returns {{ mimetype: string, data: Buffer }|undefined} The decoded data and any MIME type given in the data URI, or undefined if the value isn't valid
+ * @memberof middleware
+ */
+export default function decodeBase64Upload (value) {
+  if (typeof value !== 'string') {
+    return
+  }
+  const [, mimetype, params = '', encoded] = value.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s) ?? [undefined, undefined, ';base64', value]
+  if (!params.split(';').includes('base64')) { // data URIs may also contain percent-encoded text
+    try {
+      return { mimetype: mimetype || undefined, data: Buffer.from(decodeURIComponent(encoded)) }
+    } catch (e) {
+      return
+    }
+  }
+  const base64 = encoded.replace(/\s/g, '')
+  if (!base64 || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(base64) || base64.length % 4 === 1) {
+    return
+  }
+  return { mimetype: mimetype || undefined, data: Buffer.from(base64, 'base64') }
+}
@@ -0,0 +1,37 @@
+import { fileTypeFromFile } from 'file-type'
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Detects a file's MIME type from its contents. Binary formats are identified by their magic bytes; text formats (which have none) are identified by extension using the text file type registry, but only if the file really does contain text
+ * @param {string} filepath Path to the file
+ * @param {string} filename The file's original name
+ * @param {Object} textFileTypes Map of extensions to MIME types for text formats
+ * @returns {Promise<string|undefined>} The detected MIME type, or undefined if it can't be detected
+ * @memberof middleware
+ */
+export default async function detectFileType (filepath, filename, textFileTypes = {}) {
+  const detected = await fileTypeFromFile(filepath)
+  if (detected) {
+    return detected.mime
+  }
+  const textType = textFileTypes[path.extname(filename ?? '').slice(1).toLowerCase()]
+  if (textType && await isText(filepath)) {
+    return textType
+  }
+}
+
+/**
+ * Checks the start of a file for null bytes, which don't appear in text files
+ * @param {string} filepath
+ * @returns {Promise<Boolean>}
+ */
+async function isText (filepath) {
+  const handle = await fs.open(filepath)
+  try {
+    const { buffer, bytesRead } = await handle.read({ buffer: Buffer.alloc(4096) })
+    return !buffer.subarray(0, bytesRead).includes(0)
+  } finally {
+    await handle.close()
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Checks whether a parsed request body nests objects or arrays more deeply than allowed. The top-level value is at depth 0, so `{ a: { b: 1 } }` has a depth of 1. Uses the same measure as the `depth` option of body-parser's URL-encoded parser
+ * @param {*} value The value to check
+ * @param {number} maxDepth The maximum depth
+ * @returns {Boolean}
+ * @memberof middleware
+ */
+export default function exceedsDepth (value, maxDepth) {
+  const check = (v, depth) => {
+    if (v === null || typeof v !== 'object') return false
+    if (depth > maxDepth) return true
+    return Object.values(v).some(child => check(child, depth + 1))
+  }
+  return check(value, 0)
+}
@@ -0,0 +1,12 @@
+/**
+ * Filters a locale's phrases down to those in the specified namespaces. A phrase's namespace is the first segment of its key (e.g. `app` for `app.save`)
+ * @param {Object<string, string>} phrases The phrases to filter
+ * @param {Array<string>} namespaces Namespaces to include
+ * @returns {Object<string, string>}
+ * @memberof middleware
+ */
+export default function filterLangPhrases (phrases = {}, namespaces = []) {
+  return Object.fromEntries(Object.entries(phrases).filter(([key]) => {
+    return namespaces.includes(key.split('.', 1)[0])
+  }))
+}
@@ -0,0 +1,43 @@
+import mime from 'mime-types'
+import path from 'path'
+
+/**
+ * Non-standard MIME types commonly sent by browsers, mapped to their standard equivalents
+ */
+const ALIASES = {
+  'application/x-zip-compressed': 'application/zip',
+  'audio/mp3': 'audio/mpeg',
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png'
+}
+
+/**
+ * Compares a file's extension and declared MIME type with the type detected from its contents
+ * @param {Object} data
+ * @param {string} data.filename The file's original name
+ * @param {string} data.declaredType The MIME type declared by the client
+ * @param {string} data.actualType The MIME type detected from the file's contents
+ * @param {Object} data.textFileTypes Map of extensions to MIME types for text formats
+ * @returns {string|undefined} Which of `extension` or `mimetype` disagrees with the file's contents, if any
+ * @memberof middleware
+ */
+export default function getFileTypeMismatch ({ filename, declaredType, actualType, textFileTypes = {} } = {}) {
+  if (!actualType) {
+    return
+  }
+  const actualExtensions = mime.extensions[actualType] ?? []
+  const extension = path.extname(filename ?? '').slice(1).toLowerCase()
+  if (extension && !actualExtensions.includes(extension)) {
+    const extensionType = textFileTypes[extension] ?? mime.lookup(extension)
+    if (extensionType !== actualType) return 'extension'
+  }
+  // clients often can't tell a file's type, and fall back to generic types which don't disagree with its format
+  const isGeneric = declaredType === 'application/octet-stream' ||
+    (declaredType === 'text/plain' && Object.values(textFileTypes).includes(actualType))
+  declaredType = ALIASES[declaredType] ?? declaredType
+  if (declaredType && declaredType !== actualType && !isGeneric) {
+    const declaredExtensions = mime.extensions[declaredType] ?? []
+    if (!declaredExtensions.some(e => actualExtensions.includes(e))) return 'mimetype'
+  }
+}
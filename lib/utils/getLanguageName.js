@@ -0,0 +1,14 @@
+/**
+ * Returns the name of a language in that language (e.g. `Français` for `fr`)
+ * @param {string} lang The locale
+ * @returns {string} The name, or the locale itself if it isn't recognised
+ * @memberof middleware
+ */
+export default function getLanguageName (lang) {
+  try {
+    const name = new Intl.DisplayNames([lang], { type: 'language' }).of(lang)
+    return name.charAt(0).toLocaleUpperCase(lang) + name.slice(1)
+  } catch {
+    return lang
+  }
+}
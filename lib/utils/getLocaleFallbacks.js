@@ -0,0 +1,13 @@
+/**
+ * Lists the locales to check for a phrase, from most to least specific. Region and script subtags are removed one at a time (e.g. `zh-Hant-TW` → `zh-Hant` → `zh`), ending with the default locale
+ * @param {string} lang The requested locale
+ * @param {string} [defaultLang] The default locale
+ * @returns {Array<string>}
+ * @memberof middleware
+ */
+export default function getLocaleFallbacks (lang, defaultLang) {
+  const parts = lang.split(/[-_]/)
+  const locales = parts.map((p, i) => parts.slice(0, parts.length - i).join('-'))
+  if (defaultLang) locales.push(defaultLang)
+  return [...new Set(locales)]
+}
@@ -0,0 +1,35 @@
+import path from 'path'
+
+/**
+ * Works out the name of an uploaded file, using a name given by the client if present, then the `Content-Disposition` header, then the URL path, then a timestamp with an extension based on the MIME type
+ * @param {Object} data
+ * @param {string} data.filename A file name given by the client
+ * @param {string} data.url The URL the file was downloaded from (if any)
+ * @param {string} data.contentDisposition The `Content-Disposition` response header
+ * @param {string} data.mimetype The file's MIME type
+ * @returns {string} A file name safe to use as a path segment
+ * @memberof middleware
+ */
+export default function getUploadFileName ({ filename, url, contentDisposition, mimetype } = {}) {
+  const sanitise = name => {
+    if (typeof name !== 'string') return
+    try {
+      name = decodeURIComponent(name)
+    } catch (e) {}
+    // eslint-disable-next-line no-control-regex
+    name = path.basename(name.replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '').trim().slice(-255)
+    if (name && name !== '.' && name !== '..') return name
+  }
+  const [, encoded] = contentDisposition?.match(/filename\*\s*=\s*[^']*'[^']*'([^;]+)/i) ?? []
+  const [, quoted, unquoted] = contentDisposition?.match(/filename\s*=\s*(?:"([^"]*)"|([^;]+))/i) ?? []
+  let urlName
+  try {
+    urlName = path.posix.basename(new URL(url).pathname)
+  } catch (e) {}
+  const name = sanitise(filename) ?? sanitise(encoded) ?? sanitise(quoted ?? unquoted) ?? sanitise(urlName)
+  if (name) {
+    return name
+  }
+  const subtype = mimetype?.split('/')[1]?.split('+')[0]
+  return `${Date.now()}${subtype ? `.${subtype}` : ''}`
+}
@@ -0,0 +1,31 @@
+import isPrivateAddress from './isPrivateAddress.js'
+import matchHost from './matchHost.js'
+import net from 'net'
+
+/**
+ * Checks a remote URL against the URL upload restrictions. Hostnames are resolved separately at connection time, so only IP address hosts are checked against the private ranges here
+ * @param {string} url The URL to check
+ * @param {Object} options
+ * @param {Array<string>} options.allowedHosts If set, only hosts matching one of these patterns are allowed
+ * @param {Array<string>} options.blockedHosts Hosts matching any of these patterns are blocked
+ * @returns {string|undefined} Why the URL is blocked, or undefined if it is allowed
+ * @memberof middleware
+ */
+export default function getUrlBlockReason (url, { allowedHosts = [], blockedHosts = [] } = {}) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (e) {
+    return 'invalid URL'
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return `protocol ${parsed.protocol} not allowed`
+  }
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1')
+  if (matchHost(hostname, blockedHosts) || (allowedHosts.length && !matchHost(hostname, allowedHosts))) {
+    return `host ${hostname} not allowed`
+  }
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return `address ${hostname} not allowed`
+  }
+}
@@ -0,0 +1,66 @@
+import net from 'net'
+
+const blockList = new net.BlockList()
+;[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local (includes cloud metadata services)
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved & broadcast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'))
+;[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // IPv4/IPv6 translation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6')) // IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+
+/**
+ * Returns the IPv4 address wrapped in an IPv4-compatible (`::a.b.c.d`) or 6to4 (`2002::/16`) IPv6 address
+ * @param {string} ip The IPv6 address
+ * @returns {string|undefined}
+ */
+function getEmbeddedIPv4 (ip) {
+  const toGroups = part => part
+    ? part.split(':').flatMap(g => {
+      if (!g.includes('.')) return [parseInt(g, 16)]
+      const [a, b, c, d] = g.split('.').map(Number)
+      return [(a << 8) | b, (c << 8) | d]
+    })
+    : []
+  const [head, tail] = ip.split('%')[0].split('::')
+  const headGroups = toGroups(head)
+  const tailGroups = toGroups(tail)
+  const groups = tail === undefined ? headGroups : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups]
+  let embedded
+  if (groups.slice(0, 6).every(g => g === 0)) embedded = groups.slice(6, 8)
+  else if (groups[0] === 0x2002) embedded = groups.slice(1, 3)
+  return embedded?.flatMap(g => [g >> 8, g & 0xff]).join('.')
+}
+
+/**
+ * Checks whether an IP address is in a private, loopback, link-local or otherwise non-public range
+ * @param {string} address The IP address (IPv6 addresses may be wrapped in brackets)
+ * @returns {boolean} Also returns true for values which aren't valid IP addresses
+ * @memberof middleware
+ */
+export default function isPrivateAddress (address) {
+  const ip = typeof address === 'string' ? address.replace(/^\[(.*)\]$/, '$1') : address
+  const family = net.isIP(ip)
+  if (!family) {
+    return true
+  }
+  if (family === 4) {
+    return blockList.check(ip, 'ipv4')
+  }
+  const embedded = getEmbeddedIPv4(ip)
+  return blockList.check(ip, 'ipv6') || (!!embedded && blockList.check(embedded, 'ipv4'))
+}
@@ -0,0 +1,32 @@
+import mime from 'mime-types'
+import path from 'path'
+
+/**
+ * Checks whether a file matches any of a list of expected file types. Entries may be exact MIME types (`image/png`), wildcards (`image/*`, or `*` for any type) or file extensions (`.png`), which match either the file's name or any extension registered for its MIME type
+ * @param {Object} file File data
+ * @param {string} file.mimetype The file's MIME type
+ * @param {string} file.originalFilename The file's original name
+ * @param {Array<string>} expectedFileTypes The types to match against
+ * @returns {Boolean}
+ * @memberof middleware
+ */
+export default function matchFileType ({ mimetype, originalFilename } = {}, expectedFileTypes = []) {
+  const extension = path.extname(originalFilename ?? '').slice(1).toLowerCase()
+  return expectedFileTypes.some(type => {
+    type = type.toLowerCase()
+    if (type.startsWith('.')) {
+      const ext = type.slice(1)
+      return ext === extension || Boolean(mime.extensions[mimetype]?.includes(ext))
+    }
+    if (!mimetype) {
+      return false
+    }
+    if (type === '*/*' || type === '*') {
+      return true
+    }
+    if (type.endsWith('/*')) {
+      return mimetype.startsWith(type.slice(0, -1))
+    }
+    return type === mimetype
+  })
+}
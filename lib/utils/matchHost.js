@@ -0,0 +1,17 @@
+/**
+ * Checks whether a hostname matches any of a list of host patterns. Patterns are either exact hostnames, or `*.` wildcards which match any subdomain
+ * @param {string} hostname The hostname to check
+ * @param {Array<string>} patterns The host patterns
+ * @returns {boolean}
+ * @memberof middleware
+ */
+export default function matchHost (hostname, patterns = []) {
+  if (typeof hostname !== 'string') {
+    return false
+  }
+  const host = hostname.toLowerCase().replace(/\.$/, '')
+  return patterns.some(p => {
+    const pattern = p.toLowerCase()
+    return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern
+  })
+}
@@ -0,0 +1,25 @@
+import matchHost from './matchHost.js'
+
+/**
+ * Checks whether a request origin matches any of a list of origin patterns. Patterns are either `*` (matching any origin), or an origin whose hostname may be a `*.` wildcard matching any subdomain (e.g. `https://*.example.com`). The scheme and port must match exactly
+ * @param {string} origin The origin to check (e.g. `https://app.example.com`)
+ * @param {Array<string>} patterns The origin patterns
+ * @returns {boolean}
+ * @memberof middleware
+ */
+export default function matchOrigin (origin, patterns = []) {
+  if (typeof origin !== 'string') {
+    return false
+  }
+  let url
+  try {
+    url = new URL(origin)
+  } catch {
+    return patterns.includes('*')
+  }
+  return patterns.some(p => {
+    if (p === '*') return true
+    const [, protocol, host, port = ''] = p.match(/^([a-z][\w+.-]*:)\/\/([^/:]+)(?::(\d+))?\/?$/i) ?? []
+    return protocol?.toLowerCase() === url.protocol && port === url.port && matchHost(url.hostname, [host])
+  })
+}
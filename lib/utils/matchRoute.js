@@ -0,0 +1,24 @@
+/**
+ * Checks whether a request path matches a routes.json-style route pattern. Patterns may contain
+ * named `:params` (matching a single path segment) and a `*` wildcard (matching anything). Matching is
+ * case-insensitive, like Express routing
+ * @param {string} pattern The route pattern (e.g. `/assets/:_id` or `/adapt/*`)
+ * @param {string} routePath The request path to test
+ * @returns {boolean}
+ * @memberof middleware
+ */
+export default function matchRoute (pattern, routePath) {
+  if (typeof pattern !== 'string' || typeof routePath !== 'string') {
+    return false
+  }
+  const source = pattern
+    .replace(/\/+$/, '')
+    .split('/')
+    .map(s => {
+      if (s === '*') return '.*'
+      if (s.startsWith(':')) return '[^/]+'
+      return s.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+    })
+    .join('/')
+  return new RegExp(`^${source}/?$`, 'i').test(routePath)
+}
@@ -0,0 +1,13 @@
+import matchRoute from './matchRoute.js'
+
+/**
+ * Checks whether a route rule applies to a request
+ * @param {Object} rule The rule, with a `route` pattern and optional list of `methods` (all methods if omitted)
+ * @param {string} method The HTTP method of the request
+ * @param {string} routePath The request path (relative to the API root)
+ * @returns {boolean}
+ * @memberof middleware
+ */
+export default function matchRouteRule (rule, method = '', routePath = '') {
+  return matchRoute(rule?.route, routePath) && (!rule.methods || rule.methods.map(m => m.toLowerCase()).includes(method.toLowerCase()))
+}
@@ -0,0 +1,32 @@
+/**
+ * Reads Content-Security-Policy violation reports from a request body. Accepts both the `report-uri` format (a single `csp-report` object) and the Reporting API format (an array of reports, of which only `csp-violation` reports are used)
+ * @param {Object|Array<Object>} body The parsed request body
+ * @returns {Array<CspViolation>} The violations (empty if the body contains none)
+ * @memberof middleware
+ */
+export default function parseCspReports (body) {
+  if (body?.['csp-report']) {
+    const r = body['csp-report']
+    return [{
+      directive: r['effective-directive'] ?? r['violated-directive']?.split(' ')[0],
+      blockedUri: r['blocked-uri'],
+      documentUri: r['document-uri'],
+      sourceFile: r['source-file'],
+      lineNumber: r['line-number'],
+      disposition: r.disposition
+    }]
+  }
+  if (!Array.isArray(body)) {
+    return []
+  }
+  return body
+    .filter(r => r?.type === 'csp-violation' && r.body)
+    .map(({ body: r }) => ({
+      directive: r.effectiveDirective,
+      blockedUri: r.blockedURL,
+      documentUri: r.documentURL,
+      sourceFile: r.sourceFile,
+      lineNumber: r.lineNumber,
+      disposition: r.disposition
+    }))
+}
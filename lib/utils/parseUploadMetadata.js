@@ -0,0 +1,16 @@
+/**
+ * Parses a tus `Upload-Metadata` header, which is a comma-separated list of keys and base64-encoded values (e.g. `filename d29ybGQuemlw,filetype YXBwbGljYXRpb24vemlw`)
+ * @param {string} header The header value
+ * @returns {Object<string, string>} The decoded metadata. Keys without a value are set to an empty string
+ * @memberof middleware
+ */
+export default function parseUploadMetadata (header) {
+  if (typeof header !== 'string') {
+    return {}
+  }
+  return header.split(',').reduce((metadata, pair) => {
+    const [key, value = ''] = pair.trim().split(/\s+/)
+    if (key) metadata[key] = Buffer.from(value, 'base64').toString('utf8')
+    return metadata
+  }, {})
+}
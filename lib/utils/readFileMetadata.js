@@ -0,0 +1,50 @@
+import { createReadStream } from 'fs'
+import { imageSizeFromFile } from 'image-size/fromFile'
+import { parseFile } from 'music-metadata'
+
+/**
+ * Reads basic metadata from a file's headers: dimensions for images, duration (in seconds) for audio and video, and page count for PDFs. Metadata which can't be read is omitted rather than treated as an error
+ * @param {string} filepath Path to the file
+ * @param {string} mimetype The file's validated MIME type
+ * @returns {Promise<FileMetadata>}
+ * @memberof middleware
+ */
+export default async function readFileMetadata (filepath, mimetype = '') {
+  const [category] = mimetype.split('/')
+  let metadata = {}
+  try {
+    if (category === 'image') {
+      const { width, height } = await imageSizeFromFile(filepath)
+      metadata = { width, height }
+    } else if (category === 'audio' || category === 'video') {
+      // only use the duration declared in the headers rather than scanning the whole file
+      const { format } = await parseFile(filepath, { duration: false, skipCovers: true })
+      metadata = { duration: format.duration }
+    } else if (mimetype === 'application/pdf') {
+      metadata = { pageCount: await countPdfPages(filepath) }
+    }
+  } catch (e) {}
+  return Object.fromEntries(Object.entries(metadata).filter(([k, v]) => v !== undefined))
+}
+
+/**
+ * Counts the page objects in a PDF. Pages stored in compressed object streams can't be counted this way, in which case no count is returned
+ * @param {string} filepath
+ * @returns {Promise<number|undefined>}
+ */
+async function countPdfPages (filepath) {
+  const pageRe = /\/Type\s*\/Page(?![a-zA-Z])/g
+  let count = 0
+  let tail = ''
+  for await (const chunk of createReadStream(filepath, { encoding: 'latin1' })) {
+    const text = tail + chunk
+    let lastIndex = 0
+    for (const match of text.matchAll(pageRe)) {
+      count++
+      lastIndex = match.index + match[0].length
+    }
+    // keep the end of the chunk in case a match spans two chunks
+    tail = text.slice(Math.max(lastIndex, text.length - 32))
+  }
+  return count || undefined
+}
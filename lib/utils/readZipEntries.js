@@ -0,0 +1,86 @@
+import fs from 'fs/promises'
+
+const EOCD_SIGNATURE = 0x06054b50
+const EOCD64_LOCATOR_SIGNATURE = 0x07064b50
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50
+const MAX_EOCD_SEARCH = 22 + 0xffff // EOCD record plus the largest possible comment
+
+/**
+ * Lists the entries in a zip file by reading its central directory, without extracting anything
+ * @param {string} filepath Path to the zip file
+ * @returns {Promise<Array<ZipEntry>>}
+ * @throws {Error} If the file isn't a readable zip
+ * @memberof middleware
+ */
+export default async function readZipEntries (filepath) {
+  const handle = await fs.open(filepath)
+  try {
+    const read = async (position, length) => {
+      const buffer = Buffer.alloc(length)
+      const { bytesRead } = await handle.read(buffer, 0, length, position)
+      return buffer.subarray(0, bytesRead)
+    }
+    const { size } = await handle.stat()
+    const tailStart = Math.max(0, size - MAX_EOCD_SEARCH)
+    const tail = await read(tailStart, size - tailStart)
+    let eocd = -1
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+        eocd = i
+        break
+      }
+    }
+    if (eocd === -1) {
+      throw new Error('not a zip file')
+    }
+    let count = tail.readUInt16LE(eocd + 10)
+    let cdSize = tail.readUInt32LE(eocd + 12)
+    let cdOffset = tail.readUInt32LE(eocd + 16)
+
+    if (eocd >= 20 && tail.readUInt32LE(eocd - 20) === EOCD64_LOCATOR_SIGNATURE) {
+      const eocd64 = await read(Number(tail.readBigUInt64LE(eocd - 12)), 56)
+      count = Number(eocd64.readBigUInt64LE(32))
+      cdSize = Number(eocd64.readBigUInt64LE(40))
+      cdOffset = Number(eocd64.readBigUInt64LE(48))
+    }
+    const cd = await read(cdOffset, cdSize)
+    const entries = []
+
+    for (let i = 0, offset = 0; i < count; i++) {
+      if (offset + 46 > cd.length || cd.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+        throw new Error('invalid zip central directory')
+      }
+      const madeBy = cd.readUInt16LE(offset + 4)
+      let compressedSize = cd.readUInt32LE(offset + 20)
+      let uncompressedSize = cd.readUInt32LE(offset + 24)
+      const nameLength = cd.readUInt16LE(offset + 28)
+      const extraLength = cd.readUInt16LE(offset + 30)
+      const commentLength = cd.readUInt16LE(offset + 32)
+      const externalAttrs = cd.readUInt32LE(offset + 38)
+      const name = cd.toString('utf8', offset + 46, offset + 46 + nameLength)
+      // ZIP64 sizes are stored in an extra field, in order, only for values which overflow
+      const extra = cd.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength)
+      for (let e = 0; e + 4 <= extra.length; e += 4 + extra.readUInt16LE(e + 2)) {
+        if (extra.readUInt16LE(e) !== 0x0001) continue
+        let pos = e + 4
+        if (uncompressedSize === 0xffffffff) {
+          uncompressedSize = Number(extra.readBigUInt64LE(pos))
+          pos += 8
+        }
+        if (compressedSize === 0xffffffff) compressedSize = Number(extra.readBigUInt64LE(pos))
+      }
+      const mode = (externalAttrs >>> 16) & 0o170000
+      entries.push({
+        name,
+        compressedSize,
+        uncompressedSize,
+        isDirectory: name.endsWith('/') || mode === 0o040000,
+        isSymlink: (madeBy >> 8) === 3 && mode === 0o120000 // 3 = unix
+      })
+      offset += 46 + nameLength + extraLength + commentLength
+    }
+    return entries
+  } finally {
+    await handle.close()
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Replaces the values of sensitive fields in an object (and any nested objects or arrays) with `[REDACTED]`
+ * @param {*} value The value to redact
+ * @param {Array<string>} fields Names of the fields to redact (case-insensitive)
+ * @returns {*} A redacted copy of the value
+ * @memberof middleware
+ */
+export default function redactFields (value, fields = []) {
+  const names = fields.map(f => f.toLowerCase())
+  const redact = v => {
+    if (Array.isArray(v)) return v.map(redact)
+    if (!v || typeof v !== 'object') return v
+    return Object.fromEntries(Object.entries(v).map(([k, fv]) => {
+      return [k, names.includes(k.toLowerCase()) ? '[REDACTED]' : redact(fv)]
+    }))
+  }
+  return redact(value)
+}
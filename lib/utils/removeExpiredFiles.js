@@ -0,0 +1,37 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Removes files and folders in a directory which haven't been modified for longer than the maximum age. Only the top level of the directory is checked, and expired folders are removed along with their contents
+ * @param {string} dir The directory to clean
+ * @param {number} maxAge Maximum age in milliseconds
+ * @returns {Promise<{ count: number, size: number }>} The number of items removed, and the total bytes reclaimed
+ * @memberof middleware
+ */
+export default async function removeExpiredFiles (dir, maxAge) {
+  const getSize = async p => {
+    const stats = await fs.lstat(p)
+    if (!stats.isDirectory()) return stats.size
+    const sizes = await Promise.all((await fs.readdir(p)).map(f => getSize(path.join(p, f))))
+    return sizes.reduce((total, s) => total + s, 0)
+  }
+  let names
+  try {
+    names = await fs.readdir(dir)
+  } catch (e) {
+    if (e.code === 'ENOENT') return { count: 0, size: 0 }
+    throw e
+  }
+  const cutoff = Date.now() - maxAge
+  const result = { count: 0, size: 0 }
+  await Promise.all(names.map(async name => {
+    const p = path.join(dir, name)
+    const { mtimeMs } = await fs.lstat(p)
+    if (mtimeMs > cutoff) return
+    const size = await getSize(p)
+    await fs.rm(p, { recursive: true, force: true })
+    result.count++
+    result.size += size
+  }))
+  return result
+}
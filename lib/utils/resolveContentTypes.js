@@ -0,0 +1,24 @@
+import matchRouteRule from './matchRouteRule.js'
+
+/**
+ * Resolves the content types a request may send and receive, by adding the types from every matching route rule to the defaults
+ * @param {Array<ContentTypeRule>} rules The route rules
+ * @param {string} method The HTTP method of the request
+ * @param {string} routePath The request path (relative to the API root)
+ * @param {Object} defaults The default types
+ * @param {Array<string>} defaults.accepts Types the API accepts by default
+ * @param {Array<string>} defaults.produces Types the API produces by default
+ * @returns {{ accepts: Array<string>, produces: Array<string> }}
+ * @memberof middleware
+ */
+export default function resolveContentTypes (rules = [], method = '', routePath = '', defaults = {}) {
+  const accepts = new Set(defaults.accepts)
+  const produces = new Set(defaults.produces)
+  rules
+    .filter(r => matchRouteRule(r, method, routePath))
+    .forEach(r => {
+      r.accepts?.forEach(t => accepts.add(t))
+      r.produces?.forEach(t => produces.add(t))
+    })
+  return { accepts: [...accepts], produces: [...produces] }
+}
@@ -0,0 +1,13 @@
+import bytes from 'bytes'
+
+/**
+ * Resolves the largest size (bytes) any uploaded file may be, across `options.maxFileSize` and every `options.maxFileSizeByType` override. Useful for capping uploads before the file type is known
+ * @param {FileUploadOptions} options Upload options (`maxFileSize`, optional `maxFileSizeByType`)
+ * @returns {number} The size limit in bytes
+ * @memberof middleware
+ */
+export default function resolveMaxUploadSize (options = {}) {
+  const toBytes = v => (typeof v === 'number' ? v : bytes(v))
+  const byType = Object.values(options.maxFileSizeByType ?? {})
+  return Math.max(toBytes(options.maxFileSize), ...byType.map(toBytes))
+}
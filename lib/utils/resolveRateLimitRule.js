@@ -0,0 +1,16 @@
+import matchRouteRule from './matchRouteRule.js'
+
+/**
+ * Finds the first rate limit rule matching a request, and the number of points the request costs
+ * @param {Array<RateLimitRule>} rules The configured rules
+ * @param {string} method The HTTP method of the request
+ * @param {string} routePath The request path (relative to the API root)
+ * @returns {{ rule: RateLimitRule|undefined, cost: number }}
+ * @memberof middleware
+ */
+export default function resolveRateLimitRule (rules = [], method = '', routePath = '') {
+  const rule = rules.find(r => matchRouteRule(r, method, routePath))
+  let cost = rule?.cost ?? 1
+  if (typeof cost === 'object') cost = cost[method.toLowerCase()] ?? cost['*'] ?? 1
+  return { rule, cost }
+}
@@ -0,0 +1,20 @@
+/**
+ * Determines which rate limit tier applies to a request. Unauthenticated requests use the `anonymous`
+ * tier. Authenticated requests use the first tier whose `scopes` are all held by the user (super users
+ * hold every scope), falling back to the `authenticated` tier
+ * @param {Object} auth The request's auth data (`req.auth`)
+ * @param {Object<string, RateLimitTier>} tiers The configured tiers
+ * @returns {string} The tier name
+ * @memberof middleware
+ */
+export default function resolveRateLimitTier (auth, tiers = {}) {
+  if (!auth?.user) {
+    return 'anonymous'
+  }
+  const userScopes = auth.scopes ?? []
+  const match = Object.entries(tiers).find(([name, { scopes }]) => {
+    if (!Array.isArray(scopes) || !scopes.length) return false
+    return auth.isSuper || scopes.every(s => userScopes.includes(s))
+  })
+  return match ? match[0] : 'authenticated'
+}
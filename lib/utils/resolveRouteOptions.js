@@ -0,0 +1,22 @@
+import matchRouteRule from './matchRouteRule.js'
+
+/**
+ * Resolves the options for a request, by applying the first matching route rule's options over the defaults
+ * @param {Array<Object>} rules The route rules
+ * @param {string} method The HTTP method of the request
+ * @param {string} routePath The request path (relative to the API root)
+ * @param {Object} defaults The default options
+ * @param {Array<string>} keys The options which rules can set (all of the defaults if omitted)
+ * @returns {Object}
+ * @memberof middleware
+ */
+export default function resolveRouteOptions (rules = [], method = '', routePath = '', defaults = {}, keys = Object.keys(defaults)) {
+  const rule = rules.find(r => matchRouteRule(r, method, routePath))
+  const options = { ...defaults }
+  if (rule) {
+    keys.forEach(k => {
+      if (rule[k] !== undefined) options[k] = rule[k]
+    })
+  }
+  return options
+}
@@ -0,0 +1,35 @@
+/**
+ * Orders middleware by its `before`/`after` constraints, otherwise keeping registration order
+ * @param {Array<MiddlewareEntry>} entries The entries, in registration order
+ * @returns {{ sorted: Array<MiddlewareEntry>, unresolved: Array<string> }} The sorted entries, and the names of any in a cycle
+ * @memberof middleware
+ */
+export default function sortMiddleware (entries = []) {
+  const indexes = new Map(entries.map((e, i) => [e.name, i]))
+  // the names of the entries each entry must come after
+  const dependencies = new Map(entries.map(e => [e.name, new Set((e.after ?? []).filter(n => indexes.has(n)))]))
+  entries.forEach(e => {
+    (e.before ?? []).filter(n => indexes.has(n)).forEach(n => dependencies.get(n).add(e.name))
+  })
+  const sorted = []
+  const placed = new Set()
+  const unresolved = new Set()
+  // places an entry's dependencies (in registration order) immediately before the entry itself
+  const place = (entry, path) => {
+    if (placed.has(entry.name) || unresolved.has(entry.name)) return
+    if (path.includes(entry.name)) {
+      path.slice(path.indexOf(entry.name)).forEach(n => unresolved.add(n))
+      return
+    }
+    const deps = [...dependencies.get(entry.name)].sort((a, b) => indexes.get(a) - indexes.get(b))
+    deps.forEach(n => place(entries[indexes.get(n)], [...path, entry.name]))
+    if (unresolved.has(entry.name) || deps.some(n => unresolved.has(n))) {
+      unresolved.add(entry.name)
+      return
+    }
+    placed.add(entry.name)
+    sorted.push(entry)
+  }
+  entries.forEach(e => place(e, []))
+  return { sorted, unresolved: [...unresolved] }
+}
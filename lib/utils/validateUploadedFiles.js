@@ -1,35 +1,50 @@
 import { App } from 'adapt-authoring-core'
 import bytes from 'bytes'
-import { fileTypeFromFile } from 'file-type'
-import path from 'path'
+import detectFileType from './detectFileType.js'
+import getFileTypeMismatch from './getFileTypeMismatch.js'
+import matchFileType from './matchFileType.js'
 import resolveFileSizeLimit from './resolveFileSizeLimit.js'
 
 /**
- * Validates uploaded files against expected types and size limits
+ * Validates uploaded files against expected types and size limits, then runs any additional file validators against files which pass
  * @param {external:ExpressRequest} req
  * @param {Object} filesObj Files object from formidable
- * @param {Object} options Upload options including expectedFileTypes and maxFileSize
+ * @param {Object} options Upload options including expectedFileTypes, strictFileTypes, textFileTypes and maxFileSize
+ * @param {Array<FileValidator>} validators Additional validators to run
  * @memberof middleware
  */
-export async function validateUploadedFiles (req, filesObj, options) {
+export async function validateUploadedFiles (req, filesObj, options, validators = []) {
   const errors = App.instance.errors
   const assetErrors = []
   const filesArr = Object.values(filesObj).reduce((memo, f) => memo.concat(f), []) // flatten nested arrays
   await Promise.all(filesArr.map(async f => {
-    if (!options.expectedFileTypes.includes(f.mimetype)) {
-      // formidable mimetype isn't allowed, try inspecting the file
-      f.mimetype = (await fileTypeFromFile(f.filepath))?.mime
-      if (!f.mimetype && path.extname(f.originalFilename) === '.srt') {
-        f.mimetype = 'application/x-subrip'
-      }
-      if (!options.expectedFileTypes.includes(f.mimetype)) {
-        assetErrors.push(errors.UNEXPECTED_FILE_TYPES.setData({ expectedFileTypes: options.expectedFileTypes, invalidFiles: [f.originalFilename], mimetypes: [f.mimetype] }))
+    const fileErrors = []
+    const declaredType = f.mimetype
+    if (options.strictFileTypes || !matchFileType(f, options.expectedFileTypes)) {
+      // declared type isn't allowed (or can't be trusted), so inspect the file
+      f.mimetype = await detectFileType(f.filepath, f.originalFilename, options.textFileTypes)
+      const mismatch = options.strictFileTypes && getFileTypeMismatch({ filename: f.originalFilename, declaredType, actualType: f.mimetype, textFileTypes: options.textFileTypes })
+      if (mismatch) {
+        fileErrors.push(errors.FILE_TYPE_MISMATCH.setData({ file: f.originalFilename, mismatch, declaredType, actualType: f.mimetype }))
+      } else if (!matchFileType(f, options.expectedFileTypes)) {
+        fileErrors.push(errors.UNEXPECTED_FILE_TYPES.setData({ expectedFileTypes: options.expectedFileTypes, invalidFiles: [f.originalFilename], mimetypes: [f.mimetype] }))
       }
     }
     const maxSize = resolveFileSizeLimit(f.mimetype, options)
     if (f.size > maxSize) {
-      assetErrors.push(errors.FILE_EXCEEDS_MAX_SIZE.setData({ size: bytes(f.size), maxSize: bytes(maxSize) }))
+      fileErrors.push(errors.FILE_EXCEEDS_MAX_SIZE.setData({ size: bytes(f.size), maxSize: bytes(maxSize) }))
+    }
+    if (!fileErrors.length) {
+      await Promise.all(validators.filter(v => !v.mimeTypes || matchFileType(f, v.mimeTypes)).map(async ({ name, validate }) => {
+        try {
+          await validate(f, { req, options })
+        } catch (e) {
+          // validators should throw app errors so they can be translated, anything else is wrapped
+          fileErrors.push(e.statusCode ? e : errors.FILE_VALIDATOR_FAILED.setData({ validator: name, file: f.originalFilename, error: e.message }))
+        }
+      }))
     }
+    assetErrors.push(...fileErrors)
   }))
   if (assetErrors.length) {
     throw errors.VALIDATION_FAILED
@@ -1,5 +1,15 @@
-import { describe, it, mock } from 'node:test'
+import { describe, it, mock, before, after, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert/strict'
+import { createHash } from 'node:crypto'
+import { EventEmitter } from 'node:events'
+import fs from 'node:fs/promises'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import { Readable } from 'node:stream'
+import zlib from 'node:zlib'
+import { RateLimiterMemory } from 'rate-limiter-flexible'
+import App from 'adapt-authoring-core/lib/App.js'
 import MiddlewareModule from '../lib/MiddlewareModule.js'
 
 /**
@@ -8,18 +18,76 @@ import MiddlewareModule from '../lib/MiddlewareModule.js'
  * and bodyParserUrlEncoded logic in isolation.
  */
 
-function createInstance () {
+function createInstance (config = {}) {
   const mockApp = {
     waitForModule: mock.fn(async () => {}),
     errors: {
+      BLOCKED_ASSET_URL: {
+        setData: mock.fn(function () { return this })
+      },
       BODY_PARSE_FAILED: {
         setData: mock.fn(function () { return this })
       },
+      BODY_TOO_LARGE: {
+        setData: mock.fn(function () { return this })
+      },
+      FILE_EXCEEDS_MAX_SIZE: {
+        setData: mock.fn(function () { return this })
+      },
+      FILE_VALIDATOR_EXISTS: {
+        setData: mock.fn(function () { return this })
+      },
+      INCOMPLETE_UPLOAD: {
+        setData: mock.fn(function () { return this })
+      },
+      NOT_ACCEPTABLE: {
+        setData: mock.fn(function () { return this })
+      },
+      INVALID_PARAMS: {
+        setData: mock.fn(function () { return this })
+      },
+      MIDDLEWARE_EXISTS: {
+        setData: mock.fn(function () { return this })
+      },
+      MIDDLEWARE_ORDER_CYCLE: {
+        setData: mock.fn(function () { return this })
+      },
+      RATE_LIMIT_EXCEEDED: {
+        setData: mock.fn(function () { return this })
+      },
+      UNKNOWN_FILE_VALIDATOR: {
+        setData: mock.fn(function () { return this })
+      },
       UNKNOWN_LANG: {
         setData: mock.fn(function () { return this })
+      },
+      UNKNOWN_RATE_LIMIT_BUCKET: {
+        setData: mock.fn(function () { return this })
+      },
+      UNKNOWN_UPLOAD: {
+        setData: mock.fn(function () { return this })
+      },
+      UNSAFE_ZIP: {
+        setData: mock.fn(function () { return this })
+      },
+      UNSUPPORTED_MEDIA_TYPE: {
+        setData: mock.fn(function () { return this })
+      },
+      UPLOAD_LOCKED: {
+        setData: mock.fn(function () { return this })
+      },
+      UPLOAD_OFFSET_MISMATCH: {
+        setData: mock.fn(function () { return this })
+      },
+      UPLOAD_QUOTA_EXCEEDED: {
+        setData: mock.fn(function () { return this })
+      },
+      VALIDATION_FAILED: {
+        setData: mock.fn(function () { return this })
       }
     },
     config: {
+      get: mock.fn(key => ({ 'adapt-authoring-core.defaultLang': 'en' })[key]),
       getPublicConfig: mock.fn(() => ({ 'some.key': 'value' }))
     },
     lang: {
@@ -39,17 +107,88 @@ function createInstance () {
 
   MiddlewareModule.prototype.init = originalInit
 
-  instance.getConfig = mock.fn((key) => {
-    const defaults = {
-      fileUploadMaxFileSize: 52428800,
-      uploadTempDir: '/tmp/uploads',
-      apiRequestLimit: 100,
-      apiRequestLimitDuration: 60000
-    }
-    return defaults[key]
+  const defaults = {
+    accessLogLevel: 'verbose',
+    accessLogRedactFields: ['token'],
+    accessLogSampleRate: 1,
+    acceptedTypes: ['application/json'],
+    contentTypeRoutes: [{ route: '/upload', accepts: ['multipart/form-data'] }],
+    corsAllowedHeaders: [],
+    corsCredentials: false,
+    corsExposedHeaders: ['X-RateLimit-Remaining'],
+    corsMaxAge: 600000,
+    corsMethods: ['GET', 'POST'],
+    corsOrigins: ['https://app.example.com'],
+    corsRoutes: [{ route: '/public/*', origins: ['*'] }],
+    cspDirectives: {},
+    disabledMiddleware: [],
+    cspMaxReports: 1000,
+    cspReportOnly: true,
+    cspReportViolations: true,
+    producedTypes: ['application/json'],
+    strictFileTypes: false,
+    textFileTypes: { srt: 'application/x-subrip' },
+    fileUploadMaxFileSize: 52428800,
+    fileValidators: [],
+    langCacheControl: 'public, no-cache',
+    langCookieName: 'lang',
+    langMissingMaxKeys: 1000,
+    langPreSerialise: false,
+    metricsDurationBuckets: [0.1, 1, 10],
+    unzipMaxCompressionRatio: 100,
+    unzipMaxDepth: 32,
+    unzipMaxEntries: 10000,
+    unzipMaxSize: 1073741824,
+    resumableUploadMaxSize: 1000,
+    uploadProgressInterval: 1000,
+    uploadProgressRetention: 60000,
+    uploadQuotaDuration: 86400000,
+    uploadQuotaTiers: { authenticated: { size: 100, files: 2 }, admin: { files: 10, scopes: ['write:config'] } },
+    uploadTempDir: '/tmp/uploads',
+    uploadTempDirMaxAge: 86400000,
+    urlUploadAllowedHosts: [],
+    urlUploadBlockedHosts: ['blocked.example.com'],
+    urlUploadConnectTimeout: 1000,
+    urlUploadMaxRedirects: 1,
+    urlUploadTimeout: 5000,
+    apiRequestLimit: 100,
+    apiRequestLimitDuration: 60000,
+    apiRequestLimitBlockDuration: 900000,
+    apiRequestLimitRoutes: [
+      { route: '/adapt/import', cost: { post: 10 } },
+      { route: '/auth/local', points: 5, duration: 1000 }
+    ],
+    apiRequestLimitStore: 'memory',
+    apiRequestLimitTiers: { anonymous: { points: 20 }, authenticated: {} },
+    bodyParserDepth: 3,
+    bodyParserLimit: 100,
+    bodyParserRoutes: [{ route: '/big', limit: 1000 }],
+    bodyParserStrict: true
+  }
+  // config is checked when read, so tests can change it after creating the instance
+  instance.getConfig = mock.fn(key => key in config ? config[key] : defaults[key])
+  instance.log = mock.fn()
+  // the state set up by init, which isn't run
+  Object.assign(instance, {
+    routeRules: { bodyParserRoutes: [], contentTypeRoutes: [], corsRoutes: [] },
+    fileValidators: new Map(),
+    textFileTypes: {},
+    resumableUploadLocks: new Set(),
+    uploadProgress: new Map(),
+    uploadQuotaLimiters: new Map(),
+    langResponses: new Map(),
+    missingTranslations: new Map(),
+    cspSources: new Map(),
+    cspReports: new Map(),
+    cspReportUri: '/api/csp/reports',
+    middlewareEntries: { root: [], api: [] },
+    middlewareStacks: new Map(),
+    metrics: instance.createMetrics(),
+    rateLimiters: new Map(),
+    rateLimitConsumers: new Map()
   })
 
-  return { instance, mockApp }
+  return { instance, mockApp, config }
 }
 
 describe('MiddlewareModule', () => {
@@ -94,6 +233,12 @@ describe('MiddlewareModule', () => {
       assert.equal(options.uploadDir, '/tmp/uploads')
       assert.equal(options.promisify, false)
       assert.equal(options.unzip, false)
+      assert.deepEqual(options.fileValidators, [])
+      assert.equal(options.strictFileTypes, false)
+      assert.equal(options.hash, false)
+      assert.equal(options.extractMetadata, false)
+      assert.equal(options.unzipMaxEntries, 10000)
+      assert.equal(options.unzipMaxSize, 1073741824)
       assert.equal(options.removeZipSource, true)
     })
 
@@ -112,87 +257,2284 @@ describe('MiddlewareModule', () => {
     })
   })
 
-  describe('#bodyParserJson()', () => {
-    it('should return a function', () => {
+  describe('#getRateLimitBucket()', () => {
+    it('should use the anonymous tier for unauthenticated requests', () => {
       const { instance } = createInstance()
-      const middleware = instance.bodyParserJson()
-      assert.equal(typeof middleware, 'function')
+      const bucket = instance.getRateLimitBucket({ method: 'GET', path: '/config' })
+      assert.deepEqual(bucket, { bucket: 'anonymous', points: 20, duration: 60000, cost: 1 })
     })
-  })
 
-  describe('#bodyParserUrlEncoded()', () => {
-    it('should return a function', () => {
+    it('should fall back to apiRequestLimit for tiers without points', () => {
       const { instance } = createInstance()
-      const middleware = instance.bodyParserUrlEncoded()
-      assert.equal(typeof middleware, 'function')
+      const bucket = instance.getRateLimitBucket({ method: 'GET', path: '/config', auth: { user: { _id: '1' } } })
+      assert.deepEqual(bucket, { bucket: 'authenticated', points: 100, duration: 60000, cost: 1 })
     })
-  })
 
-  describe('#fileUploadParser()', () => {
-    it('should return a function', () => {
+    it('should apply the cost of a matching route rule', () => {
       const { instance } = createInstance()
-      const parser = instance.fileUploadParser(['image/png'])
-      assert.equal(typeof parser, 'function')
+      const bucket = instance.getRateLimitBucket({ method: 'POST', path: '/adapt/import' })
+      assert.equal(bucket.bucket, 'anonymous')
+      assert.equal(bucket.cost, 10)
+    })
+
+    it('should use a dedicated bucket for route rules with their own limits', () => {
+      const { instance } = createInstance()
+      const bucket = instance.getRateLimitBucket({ method: 'POST', path: '/auth/local' })
+      assert.deepEqual(bucket, { bucket: 'route:/auth/local', points: 5, duration: 1000, cost: 1 })
     })
   })
 
-  describe('#urlUploadParser()', () => {
-    it('should return a function', () => {
+  describe('#getRateLimiter()', () => {
+    it('should create an in-memory limiter when no store is connected', () => {
       const { instance } = createInstance()
-      const parser = instance.urlUploadParser(['image/png'], {})
-      assert.equal(typeof parser, 'function')
+      const limiter = instance.getRateLimiter('anonymous', 20, 1000)
+      assert.equal(limiter.constructor.name, 'RateLimiterMemory')
+      assert.equal(limiter.points, 20)
+      assert.equal(limiter.duration, 1)
+    })
+
+    it('should reuse the limiter for a bucket', () => {
+      const { instance } = createInstance()
+      assert.equal(instance.getRateLimiter('anonymous', 20, 1000), instance.getRateLimiter('anonymous', 20, 1000))
     })
   })
 
-  describe('#configRequestHandler()', () => {
-    it('should respond with public config data', () => {
+  describe('rate limit admin handlers', () => {
+    async function createLimitedInstance () {
+      const { instance, mockApp } = createInstance()
+      instance.rateLimitResetHook = { invoke: mock.fn(async () => {}) }
+      instance.rateLimitBlockHook = { invoke: mock.fn(async () => {}) }
+      await instance.getRateLimiter('anonymous', 20, 60000).consume('1.2.3.4', 5)
+      instance.rateLimitConsumers.set('anonymous 1.2.3.4', { bucket: 'anonymous', key: '1.2.3.4', expiresAt: new Date(Date.now() + 60000) })
+      return { instance, mockApp }
+    }
+
+    it('should list tracked consumers', async () => {
+      const { instance } = await createLimitedInstance()
+      const res = { json: mock.fn() }
+      await instance.rateLimitListHandler({}, res, () => {})
+      const [[state]] = res.json.mock.calls.map(c => c.arguments[0])
+      assert.equal(state.key, '1.2.3.4')
+      assert.equal(state.remainingPoints, 15)
+      assert.equal(state.isBlocked, false)
+    })
+
+    it('should drop expired consumers from the list', async () => {
+      const { instance } = await createLimitedInstance()
+      instance.rateLimitConsumers.get('anonymous 1.2.3.4').expiresAt = new Date(0)
+      const res = { json: mock.fn() }
+      await instance.rateLimitListHandler({}, res, () => {})
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], [])
+      assert.equal(instance.rateLimitConsumers.size, 0)
+    })
+
+    it('should prune expired consumers periodically', async t => {
+      t.mock.timers.enable({ apis: ['setInterval', 'Date'] })
       const { instance } = createInstance()
+      instance.getRateLimitBucket = () => ({ bucket: 'anonymous', points: 10, duration: 1000, cost: 1 })
+      const limiter = await instance.rateLimiter()
+      await limiter({ ip: '1.2.3.4' }, { set: () => {} }, () => {})
+      assert.equal(instance.rateLimitConsumers.size, 1)
+      t.mock.timers.tick(60000)
+      assert.equal(instance.rateLimitConsumers.size, 0)
+    })
+
+    it('should inspect a single key', async () => {
+      const { instance } = await createLimitedInstance()
       const res = { json: mock.fn() }
-      instance.configRequestHandler({}, res)
-      assert.equal(res.json.mock.calls.length, 1)
-      assert.deepEqual(res.json.mock.calls[0].arguments[0], { 'some.key': 'value' })
+      await instance.rateLimitInspectHandler({ params: { key: '1.2.3.4' }, query: {} }, res, () => {})
+      assert.equal(res.json.mock.calls[0].arguments[0][0].consumedPoints, 5)
+    })
+
+    it('should call next with an error for an unknown bucket', async () => {
+      const { instance, mockApp } = await createLimitedInstance()
+      const next = mock.fn()
+      await instance.rateLimitInspectHandler({ params: { key: '1.2.3.4' }, query: { bucket: 'nope' } }, {}, next)
+      assert.equal(next.mock.calls[0].arguments[0], mockApp.errors.UNKNOWN_RATE_LIMIT_BUCKET)
+    })
+
+    it('should reset a key and invoke the reset hook', async () => {
+      const { instance } = await createLimitedInstance()
+      const res = { sendStatus: mock.fn() }
+      await instance.rateLimitResetHandler({ params: { key: '1.2.3.4' }, query: {} }, res, () => {})
+      assert.equal(res.sendStatus.mock.calls[0].arguments[0], 204)
+      assert.equal(await instance.getRateLimitState('anonymous', '1.2.3.4'), undefined)
+      assert.equal(instance.rateLimitResetHook.invoke.mock.calls.length, 1)
+    })
+
+    it('should block a key and invoke the block hook', async () => {
+      const { instance } = await createLimitedInstance()
+      const res = { json: mock.fn() }
+      await instance.rateLimitBlockHandler({ params: { key: '1.2.3.4' }, query: {}, body: { duration: 1000 } }, res, () => {})
+      assert.equal(res.json.mock.calls[0].arguments[0][0].isBlocked, true)
+      assert.equal(instance.rateLimitBlockHook.invoke.mock.calls[0].arguments[0].duration, 1000)
+    })
+
+    it('should reject an invalid block duration', async () => {
+      const { instance, mockApp } = await createLimitedInstance()
+      const next = mock.fn()
+      await instance.rateLimitBlockHandler({ params: { key: '1.2.3.4' }, query: {}, body: { duration: 'abc' } }, {}, next)
+      assert.equal(next.mock.calls[0].arguments[0], mockApp.errors.INVALID_PARAMS)
     })
   })
 
-  describe('#langRequestHandler()', () => {
-    it('should respond with phrases for the specified lang param', () => {
+  describe('#requestLogger()', () => {
+    const createReq = (props = {}) => ({
+      method: 'GET',
+      originalUrl: '/api/assets?token=abc&page=2',
+      baseUrl: '/api',
+      route: { path: '/assets' },
+      query: { token: 'abc', page: '2' },
+      ip: '10.0.0.1',
+      auth: { user: { _id: 'user1' } },
+      headers: {},
+      ...props
+    })
+    const createRes = () => {
+      const res = new EventEmitter()
+      res.headers = {}
+      res.statusCode = 200
+      res.writableFinished = true
+      res.set = mock.fn((key, value) => { res.headers[key] = value })
+      res.get = key => res.headers[key]
+      res.write = mock.fn()
+      res.end = mock.fn(() => res.emit('finish'))
+      return res
+    }
+    const logged = instance => instance.log.mock.calls.map(c => JSON.parse(c.arguments[2]))
+
+    it('should generate a request ID and echo it in the response', () => {
       const { instance } = createInstance()
-      const req = { params: { lang: 'en' }, acceptsLanguages: mock.fn() }
-      const res = { json: mock.fn() }
-      instance.langRequestHandler(req, res, () => {})
-      assert.equal(res.json.mock.calls.length, 1)
-      assert.deepEqual(res.json.mock.calls[0].arguments[0], { hello: 'Hello' })
+      const req = createReq()
+      const res = createRes()
+      instance.requestLogger()(req, res, () => {})
+      assert.match(req.id, /^[0-9a-f-]{36}$/)
+      assert.equal(res.headers['X-Request-Id'], req.id)
     })
 
-    it('should fall back to Accept-Language header when no param given', () => {
+    it('should use a valid X-Request-Id header from the request', () => {
       const { instance } = createInstance()
-      const req = { params: {}, acceptsLanguages: mock.fn(() => 'fr') }
-      const res = { json: mock.fn() }
-      instance.langRequestHandler(req, res, () => {})
-      assert.equal(res.json.mock.calls.length, 1)
-      assert.deepEqual(res.json.mock.calls[0].arguments[0], { hello: 'Bonjour' })
+      const req = createReq({ headers: { 'x-request-id': 'proxy-1234' } })
+      instance.requestLogger()(req, createRes(), () => {})
+      assert.equal(req.id, 'proxy-1234')
     })
 
-    it('should call next with UNKNOWN_LANG error for unknown lang', () => {
+    it('should replace an invalid X-Request-Id header', () => {
       const { instance } = createInstance()
-      const req = { params: { lang: 'de' }, acceptsLanguages: mock.fn() }
-      const res = { json: mock.fn() }
+      const req = createReq({ headers: { 'x-request-id': 'bad id\n' } })
+      instance.requestLogger()(req, createRes(), () => {})
+      assert.notEqual(req.id, 'bad id\n')
+    })
+
+    it('should log one structured entry when the response finishes', () => {
+      const { instance } = createInstance()
+      const req = createReq()
+      const res = createRes()
+      res.headers['X-RateLimit-Bucket'] = 'authenticated'
+      instance.requestLogger()(req, res, () => {})
+      res.write('abc')
+      res.end(Buffer.from('de'))
+      res.emit('close')
+      assert.equal(instance.log.mock.calls.length, 1)
+      assert.deepEqual(instance.log.mock.calls[0].arguments.slice(0, 2), ['verbose', 'ACCESS'])
+      const [entry] = logged(instance)
+      assert.equal(typeof entry.duration, 'number')
+      delete entry.duration
+      assert.deepEqual(entry, {
+        id: req.id,
+        method: 'GET',
+        route: '/api/assets',
+        path: '/api/assets',
+        query: { token: '[REDACTED]', page: '2' },
+        status: 200,
+        bytes: 5,
+        user: 'user1',
+        bucket: 'authenticated',
+        ip: '10.0.0.1'
+      })
+    })
+
+    it('should log aborted requests', () => {
+      const { instance } = createInstance()
+      const res = createRes()
+      res.writableFinished = false
+      instance.requestLogger()(createReq(), res, () => {})
+      res.emit('close')
+      assert.equal(logged(instance)[0].aborted, true)
+    })
+
+    it('should only log the sampled proportion of successful requests', () => {
+      const { instance } = createInstance({ accessLogSampleRate: 0 })
+      const res = createRes()
+      instance.requestLogger()(createReq(), res, () => {})
+      res.end()
+      assert.equal(instance.log.mock.calls.length, 0)
+    })
+
+    it('should always log failed requests', () => {
+      const { instance } = createInstance({ accessLogSampleRate: 0 })
+      const res = createRes()
+      res.statusCode = 429
+      instance.requestLogger()(createReq(), res, () => {})
+      res.end()
+      assert.equal(logged(instance)[0].status, 429)
+    })
+  })
+
+  describe('metrics', () => {
+    const getValue = async (instance, name, labels = {}) => {
+      const { values } = await instance.metrics.registry.getSingleMetric(name).get()
+      return values.find(v => Object.entries(labels).every(([k, l]) => String(v.labels[k]) === l))?.value
+    }
+
+    it('should serve the metrics in Prometheus text format', async () => {
+      const { instance } = createInstance()
+      instance.metrics.uploadFiles.inc(2)
+      const res = { type: mock.fn(function () { return this }), send: mock.fn() }
+      await instance.metricsHandler({}, res, () => {})
+      assert.match(res.type.mock.calls[0].arguments[0], /^text\/plain; version=0\.0\.4/)
+      const body = res.send.mock.calls[0].arguments[0]
+      assert.match(body, /^upload_files_total 2$/m)
+      assert.match(body, /^# TYPE http_request_duration_seconds histogram$/m)
+    })
+
+    it('should record each request once by route and status', async () => {
+      const { instance } = createInstance()
+      const req = { method: 'GET', baseUrl: '/api', route: { path: '/assets/:_id' } }
+      const res = new EventEmitter()
+      res.statusCode = 404
+      instance.requestMetrics()(req, res, () => {})
+      res.emit('finish')
+      res.emit('close')
+      assert.equal(await getValue(instance, 'http_requests_total', { route: '/api/assets/:_id', status: '404' }), 1)
+      assert.equal(await getValue(instance, 'http_request_duration_seconds', { route: '/api/assets/:_id', le: '+Inf' }), 1)
+    })
+
+    it('should label requests which match no route', async () => {
+      const { instance } = createInstance()
+      const res = new EventEmitter()
+      res.statusCode = 404
+      instance.requestMetrics()({ method: 'GET' }, res, () => {})
+      res.emit('finish')
+      assert.equal(await getValue(instance, 'http_requests_total', { route: 'unmatched' }), 1)
+    })
+
+    it('should count requests rejected by the rate limiter', async () => {
+      const { instance } = createInstance()
+      instance.getRateLimitBucket = () => ({ bucket: 'anonymous', points: 1, duration: 60000, cost: 1 })
+      const limiter = await instance.rateLimiter()
+      const res = { set: mock.fn(), sendError: mock.fn() }
       const next = mock.fn()
-      instance.langRequestHandler(req, res, next)
+      await limiter({ ip: '1.2.3.4', url: '/api/assets' }, res, next)
+      await limiter({ ip: '1.2.3.4', url: '/api/assets' }, res, next)
       assert.equal(next.mock.calls.length, 1)
-      assert.equal(res.json.mock.calls.length, 0)
+      assert.equal(res.sendError.mock.calls.length, 1)
+      assert.equal(await getValue(instance, 'http_rate_limit_rejections_total', { bucket: 'anonymous' }), 1)
+    })
+
+    it('should count uploaded files which pass validation', async t => {
+      const { instance, mockApp } = createInstance()
+      t.mock.getter(App, 'instance', () => ({ errors: mockApp.errors }))
+      const files = { file: [{ mimetype: 'image/png', size: 100 }, { mimetype: 'image/png', size: 50 }] }
+      await instance.processUploadedFiles({}, files, { expectedFileTypes: ['image/png'], maxFileSize: 1000 })
+      assert.equal(await getValue(instance, 'upload_files_total'), 2)
+      assert.equal(await getValue(instance, 'upload_bytes_total'), 150)
+    })
+
+    it('should count uploads which fail validation', async t => {
+      const { instance, mockApp } = createInstance()
+      t.mock.getter(App, 'instance', () => ({ errors: mockApp.errors }))
+      const files = { file: [{ mimetype: 'image/png', size: 2000 }] }
+      const req = { translate: e => e }
+      await assert.rejects(instance.processUploadedFiles(req, files, { expectedFileTypes: ['image/png'], maxFileSize: 1000 }), e => e === mockApp.errors.VALIDATION_FAILED)
+      assert.equal(await getValue(instance, 'upload_rejections_total'), 1)
+      assert.equal(await getValue(instance, 'upload_files_total'), 0)
+    })
+
+    describe('#compression()', () => {
+      let server, instance
+      const body = 'a'.repeat(10000)
+
+      before(async () => {
+        ({ instance } = createInstance())
+        const compress = instance.compression()
+        server = http.createServer((req, res) => {
+          compress(req, res, () => {
+            if (req.url === '/encoded') {
+              res.setHeader('Content-Encoding', 'gzip')
+              return res.end(zlib.gzipSync(body))
+            }
+            res.setHeader('Content-Type', 'text/plain')
+            res.end(body)
+          })
+        })
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+      })
+
+      after(() => server.close())
+
+      const request = url => new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${server.address().port}${url}`, { headers: { 'accept-encoding': 'gzip' } }, res => {
+          res.resume()
+          res.on('end', () => setImmediate(resolve))
+        }).on('error', reject)
+      })
+
+      it('should record the size of compressed responses before and after compression', async () => {
+        await request('/')
+        assert.equal(await getValue(instance, 'http_compression_input_bytes_total', { encoding: 'gzip' }), body.length)
+        const output = await getValue(instance, 'http_compression_output_bytes_total', { encoding: 'gzip' })
+        assert.ok(output > 0 && output < body.length)
+      })
+
+      it('should ignore responses which are already encoded', async () => {
+        const before = await getValue(instance, 'http_compression_input_bytes_total', { encoding: 'gzip' })
+        await request('/encoded')
+        assert.equal(await getValue(instance, 'http_compression_input_bytes_total', { encoding: 'gzip' }), before)
+      })
     })
   })
 
-  describe('#addTranslationUtils()', () => {
-    it('should add translate function to req and call next', () => {
+  describe('middleware registry', () => {
+    const tracker = (calls, name) => (req, res, next) => {
+      calls.push(name)
+      next()
+    }
+    const run = (instance, router = 'api') => new Promise(resolve => {
+      instance.runMiddleware(router)({}, {}, resolve)
+    })
+
+    describe('built-in middleware', () => {
+      const init = async (config = {}) => {
+        const { instance, mockApp } = createInstance({ bodyParserTextEnabled: true, bodyParserYamlEnabled: true, cspEnabled: true, ...config })
+        const server = { api: { path: '/api', addMiddleware: mock.fn() }, root: { addMiddleware: mock.fn() } }
+        mockApp.waitForModule = mock.fn(async () => [{}, server])
+        mockApp.onReady = () => new Promise(() => {})
+        instance.initRoutes = mock.fn(async () => {})
+        await instance.init()
+        return { instance, server }
+      }
+      const getNames = (instance, router) => instance.getMiddlewareStack(router).map(e => e.name)
+
+      it('should add each router\'s middleware to the server', async () => {
+        const { instance, server } = await init()
+        assert.equal(server.root.addMiddleware.mock.callCount(), 1)
+        assert.equal(server.api.addMiddleware.mock.callCount(), 1)
+        assert.deepEqual(getNames(instance, 'root'), ['helmet', 'csp'])
+        assert.equal(instance.initRoutes.mock.callCount(), 1)
+      })
+
+      it('should add the API middleware after auth\'s middleware, so req.auth is set first', async () => {
+        const { instance, mockApp } = createInstance()
+        const server = { api: { path: '/api', addMiddleware: mock.fn() }, root: { addMiddleware: mock.fn() } }
+        const authMiddleware = (req, res, next) => next()
+        mockApp.waitForModule = mock.fn(async () => {
+          server.api.addMiddleware(authMiddleware)
+          return [{}, server]
+        })
+        mockApp.onReady = () => new Promise(() => {})
+        instance.initRoutes = mock.fn(async () => {})
+        await instance.init()
+        assert.deepEqual(mockApp.waitForModule.mock.calls[0].arguments, ['auth', 'server'])
+        assert.equal(server.api.addMiddleware.mock.callCount(), 2)
+        assert.equal(server.api.addMiddleware.mock.calls[0].arguments[0], authMiddleware)
+      })
+
+      it('should order the API middleware so each runs after the middleware it relies on', async () => {
+        const { instance } = await init()
+        const names = getNames(instance, 'api')
+        assert.deepEqual(names, [
+          'requestLogger', 'metrics', 'helmet', 'translation', 'cors', 'rateLimiter', 'contentTypeGuard',
+          'bodyParserJson', 'bodyParserUrlEncoded', 'bodyParserText', 'bodyParserYaml', 'compression'
+        ])
+        assert.ok(names.indexOf('cors') < names.indexOf('rateLimiter'))
+        assert.ok(names.indexOf('rateLimiter') < names.indexOf('contentTypeGuard'))
+        names.filter(n => n.startsWith('bodyParser')).forEach(n => assert.ok(names.indexOf('contentTypeGuard') < names.indexOf(n)))
+      })
+
+      it('should allow middleware to run after body parsing but before translation', async () => {
+        const { instance } = await init()
+        instance.registerMiddleware({ name: 'custom', handler: () => {}, after: ['bodyParserJson'], before: ['translation'] })
+        const names = getNames(instance, 'api')
+        assert.ok(names.indexOf('bodyParserJson') < names.indexOf('custom'))
+        assert.ok(names.indexOf('custom') < names.indexOf('translation'))
+        assert.ok(names.indexOf('rateLimiter') < names.indexOf('contentTypeGuard'))
+      })
+
+      it('should only disable middleware which isn\'t required', async () => {
+        const { instance } = await init({ disabledMiddleware: ['api.translation', 'api.cors'] })
+        const stack = instance.getMiddlewareStack('api')
+        assert.equal(stack.find(e => e.name === 'translation').enabled, true)
+        assert.equal(stack.find(e => e.name === 'cors').enabled, false)
+      })
+    })
+
+    it('should run middleware in registration order', async () => {
+      const { instance } = createInstance()
+      const calls = []
+      instance.registerMiddleware({ name: 'a', handler: tracker(calls, 'a') })
+      instance.registerMiddleware({ name: 'b', handler: tracker(calls, 'b') })
+      await run(instance)
+      assert.deepEqual(calls, ['a', 'b'])
+    })
+
+    it('should apply before and after constraints', async () => {
+      const { instance } = createInstance()
+      const calls = []
+      instance.registerMiddleware({ name: 'bodyParser', handler: tracker(calls, 'bodyParser') })
+      instance.registerMiddleware({ name: 'translation', handler: tracker(calls, 'translation'), after: ['bodyParser'] })
+      instance.registerMiddleware({ name: 'custom', handler: tracker(calls, 'custom'), after: ['bodyParser'], before: ['translation'] })
+      await run(instance)
+      assert.deepEqual(calls, ['bodyParser', 'custom', 'translation'])
+    })
+
+    it('should allow middleware to be added between the body parsers and translation', async () => {
+      const { instance } = createInstance()
+      const calls = []
+      const entries = [
+        { name: 'translation' },
+        { name: 'cors', before: ['rateLimiter'] },
+        { name: 'rateLimiter' },
+        { name: 'contentTypeGuard', after: ['rateLimiter'] },
+        { name: 'bodyParserJson', after: ['contentTypeGuard'] },
+        { name: 'compression' }
+      ]
+      entries.forEach(e => instance.registerMiddleware({ ...e, handler: tracker(calls, e.name) }))
+      instance.registerMiddleware({ name: 'custom', handler: tracker(calls, 'custom'), after: ['bodyParserJson'], before: ['translation'] })
+      await run(instance)
+      assert.deepEqual(calls, ['cors', 'rateLimiter', 'contentTypeGuard', 'bodyParserJson', 'custom', 'translation', 'compression'])
+    })
+
+    it('should keep root and API middleware separate', async () => {
+      const { instance } = createInstance()
+      const calls = []
+      instance.registerMiddleware({ name: 'a', handler: tracker(calls, 'api') })
+      instance.registerMiddleware({ name: 'a', handler: tracker(calls, 'root'), router: 'root' })
+      await run(instance, 'root')
+      assert.deepEqual(calls, ['root'])
+    })
+
+    it('should skip middleware disabled in config', async () => {
+      const { instance } = createInstance({ disabledMiddleware: ['api.b'] })
+      const calls = []
+      instance.registerMiddleware({ name: 'a', handler: tracker(calls, 'a') })
+      instance.registerMiddleware({ name: 'b', handler: tracker(calls, 'b') })
+      await run(instance)
+      assert.deepEqual(calls, ['a'])
+    })
+
+    it('should run required middleware even if disabled in config', async () => {
+      const { instance } = createInstance({ disabledMiddleware: ['api.a'] })
+      const calls = []
+      instance.registerMiddleware({ name: 'a', handler: tracker(calls, 'a'), required: true })
+      await run(instance)
+      assert.deepEqual(calls, ['a'])
+      assert.ok(instance.log.mock.calls.some(c => c.arguments[0] === 'warn'))
+    })
+
+    it('should stop and pass on errors', async () => {
+      const { instance } = createInstance()
+      const error = new Error('fail')
+      const calls = []
+      instance.registerMiddleware({ name: 'a', handler: (req, res, next) => next(error) })
+      instance.registerMiddleware({ name: 'b', handler: tracker(calls, 'b') })
+      assert.equal(await run(instance), error)
+      assert.deepEqual(calls, [])
+    })
+
+    it('should pass on errors thrown by async middleware', async () => {
+      const { instance } = createInstance()
+      const error = new Error('fail')
+      instance.registerMiddleware({ name: 'a', handler: async () => { throw error } })
+      assert.equal(await run(instance), error)
+    })
+
+    it('should not call next if the middleware responds', async () => {
       const { instance } = createInstance()
-      const req = { acceptsLanguages: mock.fn(() => 'en') }
-      const res = {}
       const next = mock.fn()
-      instance.addTranslationUtils(req, res, next)
-      assert.equal(typeof req.translate, 'function')
+      instance.registerMiddleware({ name: 'a', handler: () => {} })
+      instance.runMiddleware('api')({}, {}, next)
+      assert.equal(next.mock.calls.length, 0)
+    })
+
+    it('should reject duplicate names with MIDDLEWARE_EXISTS', () => {
+      const { instance, mockApp } = createInstance()
+      instance.registerMiddleware({ name: 'a', handler: () => {} })
+      assert.throws(() => instance.registerMiddleware({ name: 'a', handler: () => {} }), e => e === mockApp.errors.MIDDLEWARE_EXISTS)
+    })
+
+    it('should reject invalid entries with INVALID_PARAMS', () => {
+      const { instance, mockApp } = createInstance()
+      assert.throws(() => instance.registerMiddleware({ name: 'a' }), e => e === mockApp.errors.INVALID_PARAMS)
+      assert.throws(() => instance.registerMiddleware({ name: 'a', handler: () => {}, router: 'other' }), e => e === mockApp.errors.INVALID_PARAMS)
+    })
+
+    it('should reject middleware whose constraints contradict the others with MIDDLEWARE_ORDER_CYCLE', async () => {
+      const { instance, mockApp } = createInstance()
+      const calls = []
+      instance.registerMiddleware({ name: 'a', handler: tracker(calls, 'a'), after: ['b'] })
+      assert.throws(() => instance.registerMiddleware({ name: 'b', handler: tracker(calls, 'b'), after: ['a'] }), e => e === mockApp.errors.MIDDLEWARE_ORDER_CYCLE)
+      assert.deepEqual(mockApp.errors.MIDDLEWARE_ORDER_CYCLE.setData.mock.calls[0].arguments[0], { router: 'api', names: ['a', 'b'] })
+      await run(instance)
+      assert.deepEqual(calls, ['a'])
+    })
+
+    it('should re-resolve the order when middleware is registered', async () => {
+      const { instance } = createInstance()
+      const calls = []
+      instance.registerMiddleware({ name: 'a', handler: tracker(calls, 'a') })
+      await run(instance)
+      instance.registerMiddleware({ name: 'b', handler: tracker(calls, 'b'), before: ['a'] })
+      await run(instance)
+      assert.deepEqual(calls, ['a', 'b', 'a'])
+    })
+
+    it('should list the resolved order for each router', () => {
+      const { instance } = createInstance({ disabledMiddleware: ['api.b'] })
+      instance.registerMiddleware({ name: 'a', handler: () => {} })
+      instance.registerMiddleware({ name: 'b', handler: () => {}, before: ['a'] })
+      const res = { json: mock.fn() }
+      instance.middlewareListHandler({}, res, () => {})
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], {
+        root: [],
+        api: [
+          { name: 'b', before: ['a'], after: [], required: false, enabled: false },
+          { name: 'a', before: [], after: [], required: false, enabled: true }
+        ]
+      })
+    })
+  })
+
+  describe('#cors()', () => {
+    const run = (instance, { method = 'GET', path = '/assets', headers = {} } = {}) => {
+      const res = { headers: {}, vary: mock.fn() }
+      res.set = mock.fn((key, value) => Object.assign(res.headers, typeof key === 'object' ? key : { [key]: value }))
+      res.status = mock.fn(() => res)
+      res.end = mock.fn()
+      const next = mock.fn()
+      instance.cors()({ method, path, headers }, res, next)
+      return { res, next }
+    }
+    const preflight = (origin, requestedMethod = 'POST', headers = {}) => ({
+      method: 'OPTIONS',
+      headers: { origin, 'access-control-request-method': requestedMethod, ...headers }
+    })
+
+    it('should do nothing for same-origin requests', () => {
+      const { instance } = createInstance()
+      const { res, next } = run(instance)
+      assert.equal(next.mock.calls.length, 1)
+      assert.deepEqual(res.headers, {})
+    })
+
+    it('should add CORS headers for allowed origins', () => {
+      const { instance } = createInstance()
+      const { res, next } = run(instance, { headers: { origin: 'https://app.example.com' } })
+      assert.equal(next.mock.calls.length, 1)
+      assert.deepEqual(res.headers, {
+        'Access-Control-Allow-Origin': 'https://app.example.com',
+        'Access-Control-Expose-Headers': 'X-RateLimit-Remaining'
+      })
+      assert.deepEqual(res.vary.mock.calls[0].arguments, ['Origin'])
+    })
+
+    it('should not add CORS headers for other origins', () => {
+      const { instance } = createInstance()
+      const { res, next } = run(instance, { headers: { origin: 'https://evil.example.com' } })
       assert.equal(next.mock.calls.length, 1)
+      assert.deepEqual(res.headers, {})
+    })
+
+    it('should respond to preflight requests without calling the next middleware', () => {
+      const { instance } = createInstance()
+      const { res, next } = run(instance, preflight('https://app.example.com', 'POST', { 'access-control-request-headers': 'content-type,x-upload-progress-id' }))
+      assert.equal(next.mock.calls.length, 0)
+      assert.equal(res.status.mock.calls[0].arguments[0], 204)
+      assert.equal(res.end.mock.calls.length, 1)
+      assert.equal(res.headers['Access-Control-Allow-Origin'], 'https://app.example.com')
+      assert.equal(res.headers['Access-Control-Allow-Methods'], 'GET, POST')
+      assert.equal(res.headers['Access-Control-Allow-Headers'], 'content-type,x-upload-progress-id')
+      assert.equal(res.headers['Access-Control-Max-Age'], 600)
+    })
+
+    it('should end preflight requests for disallowed origins without CORS headers', () => {
+      const { instance } = createInstance()
+      const { res, next } = run(instance, preflight('https://evil.example.com'))
+      assert.equal(next.mock.calls.length, 0)
+      assert.equal(res.status.mock.calls[0].arguments[0], 204)
+      assert.equal(res.headers['Access-Control-Allow-Origin'], undefined)
+    })
+
+    it('should not allow preflight requests for other methods', () => {
+      const { instance } = createInstance()
+      const { res } = run(instance, preflight('https://app.example.com', 'DELETE'))
+      assert.equal(res.headers['Access-Control-Allow-Origin'], undefined)
+    })
+
+    it('should only allow the configured headers if set', () => {
+      const { instance } = createInstance({ corsAllowedHeaders: ['Content-Type'] })
+      const { res } = run(instance, preflight('https://app.example.com', 'POST', { 'access-control-request-headers': 'x-custom' }))
+      assert.equal(res.headers['Access-Control-Allow-Headers'], 'Content-Type')
+    })
+
+    it('should apply route rules', () => {
+      const { instance } = createInstance()
+      const { res } = run(instance, { path: '/public/file', headers: { origin: 'https://other.example.com' } })
+      assert.equal(res.headers['Access-Control-Allow-Origin'], '*')
+    })
+
+    it('should apply rules registered by other modules', () => {
+      const { instance } = createInstance()
+      instance.addCorsRule({ route: '/lti/*', origins: ['https://*.lms.example.org'], credentials: true })
+      const { res } = run(instance, { path: '/lti/launch', headers: { origin: 'https://moodle.lms.example.org' } })
+      assert.equal(res.headers['Access-Control-Allow-Origin'], 'https://moodle.lms.example.org')
+      assert.equal(res.headers['Access-Control-Allow-Credentials'], 'true')
+    })
+
+    it('should not allow credentials for origins only matched by *', () => {
+      const { instance } = createInstance()
+      instance.addCorsRule({ route: '/any', origins: ['*'], credentials: true })
+      const { res } = run(instance, { path: '/any', headers: { origin: 'https://x.example.com' } })
+      assert.equal(res.headers['Access-Control-Allow-Origin'], '*')
+      assert.equal(res.headers['Access-Control-Allow-Credentials'], undefined)
+    })
+
+    it('should allow credentials for listed origins alongside *', () => {
+      const { instance } = createInstance()
+      instance.addCorsRule({ route: '/any', origins: ['*', 'https://*.lms.example.org'], credentials: true })
+      const { res } = run(instance, { path: '/any', headers: { origin: 'https://moodle.lms.example.org' } })
+      assert.equal(res.headers['Access-Control-Allow-Origin'], 'https://moodle.lms.example.org')
+      assert.equal(res.headers['Access-Control-Allow-Credentials'], 'true')
+    })
+
+    it('should reject rules without a route', () => {
+      const { instance, mockApp } = createInstance()
+      assert.throws(() => instance.addCorsRule({ origins: ['*'] }), e => e === mockApp.errors.INVALID_PARAMS)
+    })
+  })
+
+  describe('content security policy', () => {
+    const getHeaders = instance => {
+      const headers = {}
+      const res = { setHeader: (key, value) => { headers[key] = value } }
+      instance.contentSecurityPolicy()({}, res, () => {})
+      return headers
+    }
+
+    it('should use helmet\'s default directives, and report violations to the API', () => {
+      const { instance } = createInstance()
+      const directives = instance.getCspDirectives()
+      assert.deepEqual(directives['script-src'], ["'self'"])
+      assert.deepEqual(directives['report-uri'], ['/api/csp/reports'])
+    })
+
+    it('should override and remove directives using the cspDirectives config', () => {
+      const { instance } = createInstance({ cspDirectives: { imgSrc: ["'self'", 'https:'], 'upgrade-insecure-requests': null } })
+      const directives = instance.getCspDirectives()
+      assert.deepEqual(directives['img-src'], ["'self'", 'https:'])
+      assert.equal('upgrade-insecure-requests' in directives, false)
+      assert.equal('imgSrc' in directives, false)
+    })
+
+    it('should add sources from other modules to the existing sources', () => {
+      const { instance } = createInstance()
+      instance.addCspSources('scriptSrc', ['https://cdn.example.com'])
+      instance.addCspSources('script-src', ['https://cdn.example.com', 'https://other.example.com'])
+      instance.addCspSources('connect-src', ['wss://example.com'])
+      const directives = instance.getCspDirectives()
+      assert.deepEqual(directives['script-src'], ["'self'", 'https://cdn.example.com', 'https://other.example.com'])
+      assert.deepEqual(directives['connect-src'], ["'self'", 'wss://example.com'])
+    })
+
+    it('should not report violations if cspReportViolations is disabled', () => {
+      const { instance } = createInstance({ cspReportViolations: false })
+      assert.equal('report-uri' in instance.getCspDirectives(), false)
+    })
+
+    it('should send a report-only header by default', () => {
+      const { instance } = createInstance()
+      const headers = getHeaders(instance)
+      assert.match(headers['Content-Security-Policy-Report-Only'], /script-src 'self'/)
+      assert.equal(headers['Content-Security-Policy'], undefined)
+    })
+
+    it('should send an enforced header if cspReportOnly is disabled', () => {
+      const { instance } = createInstance({ cspReportOnly: false })
+      assert.match(getHeaders(instance)['Content-Security-Policy'], /report-uri \/api\/csp\/reports/)
+    })
+
+    it('should rebuild the policy when sources are added', () => {
+      const { instance } = createInstance()
+      getHeaders(instance)
+      instance.addCspSources('img-src', ['https://images.example.com'])
+      assert.match(getHeaders(instance)['Content-Security-Policy-Report-Only'], /img-src 'self' data: https:\/\/images\.example\.com/)
+    })
+
+    describe('violation reports', () => {
+      const report = { 'csp-report': { 'effective-directive': 'img-src', 'blocked-uri': 'https://x.example.com/a.png', 'document-uri': 'https://example.com/' } }
+      const createReq = body => Object.assign(Readable.from([Buffer.from(JSON.stringify(body))]), {
+        headers: { 'content-type': 'application/csp-report', 'content-length': String(JSON.stringify(body).length) }
+      })
+      const send = (instance, req) => new Promise((resolve, reject) => {
+        instance.cspReportHandler(req, { sendStatus: resolve }, reject)
+      })
+      const list = instance => {
+        const res = { json: mock.fn() }
+        instance.cspReportListHandler({}, res)
+        return res.json.mock.calls[0].arguments[0]
+      }
+
+      it('should parse and record reports sent by browsers', async () => {
+        const { instance } = createInstance()
+        assert.equal(await send(instance, createReq(report)), 204)
+        await send(instance, createReq(report))
+        const [entry, ...others] = list(instance)
+        assert.equal(others.length, 0)
+        assert.equal(entry.directive, 'img-src')
+        assert.equal(entry.blockedUri, 'https://x.example.com/a.png')
+        assert.equal(entry.documentUri, 'https://example.com/')
+        assert.equal(entry.count, 2)
+      })
+
+      it('should reject invalid report bodies with BODY_PARSE_FAILED', async () => {
+        const { instance, mockApp } = createInstance()
+        const req = Object.assign(Readable.from([Buffer.from('{')]), { headers: { 'content-type': 'application/csp-report', 'content-length': '1' } })
+        await assert.rejects(send(instance, req), e => e === mockApp.errors.BODY_PARSE_FAILED)
+      })
+
+      it('should stop recording new violations once cspMaxReports is reached', () => {
+        const { instance } = createInstance({ cspMaxReports: 1 })
+        instance.recordCspViolation({ directive: 'img-src', blockedUri: 'a' })
+        instance.recordCspViolation({ directive: 'img-src', blockedUri: 'b' })
+        instance.recordCspViolation({ directive: 'img-src', blockedUri: 'a' })
+        assert.deepEqual(list(instance).map(e => [e.blockedUri, e.count]), [['a', 2]])
+      })
+
+      it('should clear recorded violations', () => {
+        const { instance } = createInstance()
+        instance.recordCspViolation({ directive: 'img-src', blockedUri: 'a' })
+        instance.cspReportClearHandler({}, { sendStatus: () => {} })
+        assert.deepEqual(list(instance), [])
+      })
+    })
+  })
+
+  describe('#addContentTypes()', () => {
+    it('should add a content type rule', () => {
+      const { instance } = createInstance()
+      instance.addContentTypes({ route: '/raw', accepts: ['application/octet-stream'] })
+      assert.deepEqual(instance.getContentTypes({ method: 'POST', path: '/raw' }).accepts, ['application/json', 'application/octet-stream'])
+    })
+
+    it('should throw INVALID_PARAMS without a route', () => {
+      const { instance, mockApp } = createInstance()
+      assert.throws(() => instance.addContentTypes({ accepts: ['text/plain'] }), e => e === mockApp.errors.INVALID_PARAMS)
+    })
+  })
+
+  describe('#contentTypeGuard()', () => {
+    function runGuard ({ path = '/', is = () => null, accepts = () => 'application/json' } = {}) {
+      const { instance, mockApp } = createInstance()
+      const req = { method: 'POST', path, headers: {}, is: mock.fn(is), accepts: mock.fn(accepts) }
+      const next = mock.fn()
+      instance.contentTypeGuard()(req, {}, next)
+      return { req, next, mockApp }
+    }
+
+    it('should call next for requests without a body', () => {
+      const { next } = runGuard()
+      assert.equal(next.mock.calls[0].arguments.length, 0)
+    })
+
+    it('should call next for accepted body types', () => {
+      const { next } = runGuard({ is: () => 'application/json' })
+      assert.equal(next.mock.calls[0].arguments.length, 0)
+    })
+
+    it('should reject unaccepted body types with UNSUPPORTED_MEDIA_TYPE', () => {
+      const { next, mockApp } = runGuard({ is: () => false })
+      assert.equal(next.mock.calls[0].arguments[0], mockApp.errors.UNSUPPORTED_MEDIA_TYPE)
+    })
+
+    it('should check the body type against route-specific types', () => {
+      const { req } = runGuard({ path: '/upload' })
+      assert.deepEqual(req.is.mock.calls[0].arguments[0], ['application/json', 'multipart/form-data'])
+    })
+
+    it('should reject unproducible response types with NOT_ACCEPTABLE', () => {
+      const { next, mockApp } = runGuard({ accepts: () => false })
+      assert.equal(next.mock.calls[0].arguments[0], mockApp.errors.NOT_ACCEPTABLE)
+    })
+  })
+
+  describe('#bodyParserJson()', () => {
+    it('should return a function', () => {
+      const { instance } = createInstance()
+      const middleware = instance.bodyParserJson()
+      assert.equal(typeof middleware, 'function')
+    })
+  })
+
+  describe('#bodyParserUrlEncoded()', () => {
+    it('should return a function', () => {
+      const { instance } = createInstance()
+      const middleware = instance.bodyParserUrlEncoded()
+      assert.equal(typeof middleware, 'function')
+    })
+  })
+
+  describe('request body parsing', () => {
+    let server, instance, mockApp
+    const errorNames = new Map()
+
+    before(async () => {
+      ({ instance, mockApp } = createInstance())
+      Object.entries(mockApp.errors).forEach(([name, error]) => errorNames.set(error, name))
+      const parsers = [instance.bodyParserJson(), instance.bodyParserUrlEncoded(), instance.bodyParserText(), instance.bodyParserYaml()]
+      server = http.createServer((req, res) => {
+        req.path = req.url
+        const run = (i, error) => {
+          if (error) return res.end(JSON.stringify({ error: errorNames.get(error) }))
+          if (i === parsers.length) return res.end(JSON.stringify({ body: req.body }))
+          parsers[i](req, res, e => run(i + 1, e))
+        }
+        run(0)
+      })
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    })
+
+    after(() => server.close())
+
+    const post = (route, type, body) => new Promise((resolve, reject) => {
+      const req = http.request(`http://127.0.0.1:${server.address().port}${route}`, { method: 'POST', headers: { 'content-type': type } }, res => {
+        let data = ''
+        res.on('data', chunk => { data += chunk })
+        res.on('end', () => resolve(JSON.parse(data)))
+      })
+      req.on('error', reject)
+      req.end(body)
+    })
+
+    it('should parse JSON bodies', async () => {
+      assert.deepEqual(await post('/a', 'application/json', '{"a":1}'), { body: { a: 1 } })
+    })
+
+    it('should parse URL-encoded bodies', async () => {
+      assert.deepEqual(await post('/a', 'application/x-www-form-urlencoded', 'a[b]=1'), { body: { a: { b: '1' } } })
+    })
+
+    it('should parse text bodies', async () => {
+      assert.deepEqual(await post('/a', 'text/plain', 'hello'), { body: 'hello' })
+    })
+
+    it('should parse YAML bodies', async () => {
+      assert.deepEqual(await post('/a', 'application/yaml', 'a:\n  - 1\n  - true\n'), { body: { a: [1, true] } })
+    })
+
+    it('should reject bodies over the limit with BODY_TOO_LARGE', async () => {
+      assert.deepEqual(await post('/a', 'application/json', JSON.stringify({ a: 'x'.repeat(200) })), { error: 'BODY_TOO_LARGE' })
+      assert.equal(mockApp.errors.BODY_TOO_LARGE.setData.mock.calls.at(-1).arguments[0].limit, '100B')
+    })
+
+    it('should apply the options for the route', async () => {
+      assert.equal((await post('/big', 'text/plain', 'x'.repeat(200))).body.length, 200)
+    })
+
+    it('should apply rules added by other modules after the config rules', async () => {
+      instance.addBodyParserRule({ route: '/big', limit: 10 })
+      instance.addBodyParserRule({ route: '/strict', methods: ['post'], strict: false })
+      assert.equal((await post('/big', 'text/plain', 'x'.repeat(200))).body.length, 200)
+      assert.deepEqual(await post('/strict', 'application/json', '"a"'), { body: 'a' })
+    })
+
+    it('should reject non-object JSON and YAML bodies when strict', async () => {
+      assert.deepEqual(await post('/a', 'application/json', '"a"'), { error: 'BODY_PARSE_FAILED' })
+      assert.deepEqual(await post('/a', 'text/yaml', 'a'), { error: 'BODY_PARSE_FAILED' })
+    })
+
+    it('should reject bodies nested deeper than the limit', async () => {
+      assert.deepEqual(await post('/a', 'application/json', '{"a":{"b":{"c":{"d":{"e":1}}}}}'), { error: 'BODY_PARSE_FAILED' })
+      assert.deepEqual(await post('/a', 'application/x-www-form-urlencoded', 'a[b][c][d][e]=1'), { error: 'BODY_PARSE_FAILED' })
+    })
+
+    it('should reject invalid YAML with BODY_PARSE_FAILED', async () => {
+      assert.deepEqual(await post('/a', 'application/yaml', 'a: [1'), { error: 'BODY_PARSE_FAILED' })
+    })
+
+    it('should throw INVALID_PARAMS for rules without a route', () => {
+      assert.throws(() => instance.addBodyParserRule({ limit: 10 }), e => e === mockApp.errors.INVALID_PARAMS)
+    })
+  })
+
+  describe('#addTextFileTypes()', () => {
+    it('should add text file types to the upload defaults', () => {
+      const { instance } = createInstance()
+      instance.addTextFileTypes({ '.VTT': 'text/vtt', srt: 'text/srt' })
+      const options = {}
+      instance.setDefaultFileOptions(options)
+      assert.deepEqual(options.textFileTypes, { srt: 'text/srt', vtt: 'text/vtt' })
+    })
+  })
+
+  describe('file validators', () => {
+    it('should register a validator', () => {
+      const { instance } = createInstance()
+      const validate = async () => {}
+      instance.registerFileValidator('scanner', validate, { mimeTypes: ['image/svg+xml'] })
+      assert.deepEqual(instance.fileValidators.get('scanner'), { name: 'scanner', validate, mimeTypes: ['image/svg+xml'] })
+    })
+
+    it('should throw INVALID_PARAMS without a validate function', () => {
+      const { instance, mockApp } = createInstance()
+      assert.throws(() => instance.registerFileValidator('scanner'), mockApp.errors.INVALID_PARAMS)
+    })
+
+    it('should throw FILE_VALIDATOR_EXISTS for duplicate names', () => {
+      const { instance, mockApp } = createInstance()
+      instance.registerFileValidator('scanner', async () => {})
+      assert.throws(() => instance.registerFileValidator('scanner', async () => {}), mockApp.errors.FILE_VALIDATOR_EXISTS)
+    })
+
+    it('should return the validators named in the upload options', () => {
+      const { instance } = createInstance()
+      instance.registerFileValidator('a', async () => {})
+      instance.registerFileValidator('b', async () => {})
+      assert.deepEqual(instance.getFileValidators({ fileValidators: ['b'] }).map(v => v.name), ['b'])
+      assert.deepEqual(instance.getFileValidators({}), [])
+    })
+
+    it('should throw UNKNOWN_FILE_VALIDATOR for unregistered names', () => {
+      const { instance, mockApp } = createInstance()
+      assert.throws(() => instance.getFileValidators({ fileValidators: ['clamav'] }), mockApp.errors.UNKNOWN_FILE_VALIDATOR)
+    })
+  })
+
+  describe('uploaded file cleanup', () => {
+    let tmpDir
+    let files
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'middleware-cleanup-'))
+      files = ['a.png', 'b.zip_unzip'].map(name => ({ filepath: path.join(tmpDir, name) }))
+      await fs.writeFile(files[0].filepath, 'a')
+      await fs.mkdir(files[1].filepath)
+      await fs.writeFile(path.join(tmpDir, 'b.zip'), 'b')
+    })
+
+    afterEach(() => fs.rm(tmpDir, { recursive: true }))
+
+    it('should remove tracked files, unzipped folders and zip sources', async () => {
+      const { instance } = createInstance()
+      const req = {}
+      instance.trackUploadedFiles(req, ...files)
+      await instance.removeUploadedFiles(req)
+      assert.deepEqual(await fs.readdir(tmpDir), [])
+    })
+
+    it('should not remove claimed files', async () => {
+      const { instance } = createInstance()
+      const req = {}
+      instance.trackUploadedFiles(req, ...files)
+      instance.claimUploadedFiles(req, files[0])
+      await instance.removeUploadedFiles(req)
+      assert.deepEqual(await fs.readdir(tmpDir), ['a.png'])
+    })
+
+    it('should remove files once the response finishes', async () => {
+      const { instance } = createInstance()
+      const req = { res: new EventEmitter() }
+      instance.trackUploadedFiles(req, ...files)
+      assert.equal((await fs.readdir(tmpDir)).length, 3)
+      req.res.emit('finish')
+      req.res.emit('close')
+      await new Promise(resolve => setTimeout(resolve, 50))
+      assert.deepEqual(await fs.readdir(tmpDir), [])
+      assert.equal(req.res.listenerCount('close'), 0)
+    })
+
+    it('should handle requests without uploads', async () => {
+      const { instance } = createInstance()
+      await assert.doesNotReject(instance.removeUploadedFiles({}))
+    })
+  })
+
+  describe('resumable uploads', () => {
+    let tmpDir
+    let instance
+    let mockApp
+    let config
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'middleware-resumable-'))
+      ;({ instance, mockApp, config } = createInstance({ uploadTempDir: tmpDir }))
+      instance.checkUploadQuota = mock.fn(async () => {})
+    })
+
+    afterEach(() => fs.rm(tmpDir, { recursive: true }))
+
+    const createReq = (headers = {}, chunks = [], userId = 'user1') => {
+      const req = Readable.from(chunks)
+      headers = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]))
+      return Object.assign(req, {
+        headers,
+        params: {},
+        originalUrl: '/api/uploads',
+        auth: { user: { _id: userId } },
+        get: name => headers[name.toLowerCase()],
+        is: type => headers['content-type'] === type ? type : false
+      })
+    }
+    const createRes = () => {
+      const res = {
+        headers: {},
+        set: mock.fn(h => Object.assign(res.headers, h)),
+        location: mock.fn(() => res),
+        status: mock.fn(() => res),
+        json: mock.fn(),
+        end: mock.fn(),
+        sendStatus: mock.fn()
+      }
+      return res
+    }
+    const createUpload = async (length = 10, metadata) => {
+      const res = createRes()
+      const headers = { 'Upload-Length': String(length) }
+      if (metadata) headers['Upload-Metadata'] = metadata
+      await instance.resumableUploadCreateHandler(createReq(headers), res, assert.ifError)
+      return res.json.mock.calls[0].arguments[0].id
+    }
+    const patch = async (id, offset, chunks, userId) => {
+      const req = createReq({ 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) }, chunks, userId)
+      req.params.id = id
+      const res = createRes()
+      const next = mock.fn()
+      await instance.resumableUploadPatchHandler(req, res, next)
+      return { res, error: next.mock.calls[0]?.arguments[0] }
+    }
+
+    it('should create an upload', async () => {
+      const res = createRes()
+      const req = createReq({ 'Upload-Length': '10', 'Upload-Metadata': `filename ${Buffer.from('course.zip').toString('base64')}` })
+      await instance.resumableUploadCreateHandler(req, res, assert.ifError)
+      const { id } = res.json.mock.calls[0].arguments[0]
+      assert.match(id, /^[0-9a-f]{32}$/)
+      assert.equal(res.status.mock.calls[0].arguments[0], 201)
+      assert.equal(res.location.mock.calls[0].arguments[0], `/api/uploads/${id}`)
+      assert.equal(res.headers['Upload-Offset'], 0)
+      const session = await instance.getResumableUpload(req, id)
+      assert.equal(session.filename, 'course.zip')
+      assert.equal(session.length, 10)
+    })
+
+    it('should reject uploads without a valid Upload-Length', async () => {
+      const next = mock.fn()
+      await instance.resumableUploadCreateHandler(createReq({ 'Upload-Length': 'abc' }), createRes(), next)
+      assert.equal(next.mock.calls[0].arguments[0], mockApp.errors.INVALID_PARAMS)
+    })
+
+    it('should reject uploads over resumableUploadMaxSize', async () => {
+      const next = mock.fn()
+      await instance.resumableUploadCreateHandler(createReq({ 'Upload-Length': '1001' }), createRes(), next)
+      assert.equal(next.mock.calls[0].arguments[0], mockApp.errors.FILE_EXCEEDS_MAX_SIZE)
+    })
+
+    it('should check the upload quota before creating an upload', async () => {
+      const next = mock.fn()
+      const quotaError = new Error('UPLOAD_QUOTA_EXCEEDED')
+      instance.checkUploadQuota = mock.fn(async () => { throw quotaError })
+      await instance.resumableUploadCreateHandler(createReq({ 'Upload-Length': '10' }), createRes(), next)
+      assert.equal(instance.checkUploadQuota.mock.calls[0].arguments[1], 10)
+      assert.equal(next.mock.calls[0].arguments[0], quotaError)
+      assert.deepEqual(await fs.readdir(tmpDir), [])
+    })
+
+    it('should count unfinished uploads towards the quota', async () => {
+      await createUpload(10)
+      await createUpload(20)
+      const id = await createUpload(5)
+      await instance.resumableUploadDeleteHandler(Object.assign(createReq(), { params: { id } }), createRes(), assert.ifError)
+      await instance.resumableUploadCreateHandler(createReq({ 'Upload-Length': '40' }, [], 'user2'), createRes(), assert.ifError)
+      await createUpload(30)
+      assert.deepEqual(instance.checkUploadQuota.mock.calls.at(-1).arguments.slice(1), [60, 3])
+    })
+
+    it('should not count expired uploads towards the quota', async () => {
+      await createUpload(10)
+      config.uploadTempDirMaxAge = -1
+      await createUpload(30)
+      assert.deepEqual(instance.checkUploadQuota.mock.calls.at(-1).arguments.slice(1), [30, 1])
+    })
+
+    it('should append data and report the new offset', async () => {
+      const id = await createUpload()
+      const first = await patch(id, 0, [Buffer.from('hello')])
+      assert.equal(first.error, undefined)
+      assert.equal(first.res.status.mock.calls[0].arguments[0], 204)
+      assert.equal(first.res.headers['Upload-Offset'], 5)
+      await patch(id, 5, [Buffer.from('world')])
+      assert.equal(await fs.readFile(instance.getResumableUploadPath(id), 'utf8'), 'helloworld')
+    })
+
+    it('should reject data at the wrong offset', async () => {
+      const id = await createUpload()
+      const { error } = await patch(id, 3, [Buffer.from('hello')])
+      assert.equal(error, mockApp.errors.UPLOAD_OFFSET_MISMATCH)
+    })
+
+    it('should reject data beyond the upload length', async () => {
+      const id = await createUpload(4)
+      const { error } = await patch(id, 0, [Buffer.from('hello')])
+      assert.equal(error, mockApp.errors.FILE_EXCEEDS_MAX_SIZE)
+    })
+
+    it('should reject data of the wrong type', async () => {
+      const id = await createUpload()
+      const req = createReq({ 'Content-Type': 'application/json', 'Upload-Offset': '0' })
+      req.params.id = id
+      const next = mock.fn()
+      await instance.resumableUploadPatchHandler(req, createRes(), next)
+      assert.equal(next.mock.calls[0].arguments[0], mockApp.errors.UNSUPPORTED_MEDIA_TYPE)
+    })
+
+    it('should reject concurrent data for the same upload', async () => {
+      const id = await createUpload()
+      instance.resumableUploadLocks.add(id)
+      const { error } = await patch(id, 0, [Buffer.from('hello')])
+      assert.equal(error, mockApp.errors.UPLOAD_LOCKED)
+    })
+
+    it('should not allow other users to access an upload', async () => {
+      const id = await createUpload()
+      const { error } = await patch(id, 0, [Buffer.from('hello')], 'user2')
+      assert.equal(error, mockApp.errors.UNKNOWN_UPLOAD)
+    })
+
+    it('should reject invalid upload IDs', async () => {
+      await assert.rejects(instance.getResumableUpload(createReq(), '../../etc/passwd'), mockApp.errors.UNKNOWN_UPLOAD)
+    })
+
+    it('should expire and remove inactive uploads', async () => {
+      const id = await createUpload()
+      const sessionPath = `${instance.getResumableUploadPath(id)}.json`
+      const session = JSON.parse(await fs.readFile(sessionPath))
+      await fs.writeFile(sessionPath, JSON.stringify({ ...session, updatedAt: Date.now() - 86400001 }))
+      await assert.rejects(instance.getResumableUpload(createReq(), id), mockApp.errors.UNKNOWN_UPLOAD)
+      assert.deepEqual(await fs.readdir(tmpDir), [])
+    })
+
+    it('should return the upload status', async () => {
+      const id = await createUpload()
+      await patch(id, 0, [Buffer.from('hello')])
+      const req = createReq()
+      req.params.id = id
+      const res = createRes()
+      await instance.resumableUploadStatusHandler(req, res, assert.ifError)
+      assert.equal(res.headers['Upload-Offset'], 5)
+      assert.equal(res.headers['Upload-Length'], 10)
+      assert.equal(res.json.mock.calls[0].arguments[0].offset, 5)
+    })
+
+    it('should cancel an upload', async () => {
+      const id = await createUpload()
+      const req = createReq()
+      req.params.id = id
+      const res = createRes()
+      await instance.resumableUploadDeleteHandler(req, res, assert.ifError)
+      assert.equal(res.sendStatus.mock.calls[0].arguments[0], 204)
+      assert.deepEqual(await fs.readdir(tmpDir), [])
+    })
+
+    it('should convert a finished upload into file data', async () => {
+      const id = await createUpload(10, `filename ${Buffer.from('notes.txt').toString('base64')},filetype ${Buffer.from('text/plain').toString('base64')}`)
+      await patch(id, 0, [Buffer.from('helloworld')])
+      const file = await instance.completeResumableUpload(createReq(), id, { hash: true })
+      assert.equal(file.originalFilename, 'notes.txt')
+      assert.equal(file.mimetype, 'text/plain')
+      assert.equal(file.size, 10)
+      assert.match(file.newFilename, /^[0-9a-f]{32}\.txt$/)
+      assert.equal(file.hash, createHash('sha256').update('helloworld').digest('hex'))
+      assert.equal(await fs.readFile(file.filepath, 'utf8'), 'helloworld')
+      assert.deepEqual(await fs.readdir(tmpDir), [file.newFilename])
+    })
+
+    it('should not convert an unfinished upload', async () => {
+      const id = await createUpload()
+      await patch(id, 0, [Buffer.from('hello')])
+      await assert.rejects(instance.completeResumableUpload(createReq(), id, {}), mockApp.errors.INCOMPLETE_UPLOAD)
+    })
+
+    it('should not convert an upload while data is being written', async () => {
+      const id = await createUpload(5)
+      await patch(id, 0, [Buffer.from('hello')])
+      instance.resumableUploadLocks.add(id)
+      await assert.rejects(instance.completeResumableUpload(createReq(), id, {}), mockApp.errors.UPLOAD_LOCKED)
+      assert.equal((await instance.getResumableUpload(createReq(), id)).offset, 5)
+      instance.resumableUploadLocks.delete(id)
+      await instance.completeResumableUpload(createReq(), id, {})
+      assert.equal(instance.resumableUploadLocks.size, 0)
+    })
+
+    it('should stop data being written while an upload is converted', async () => {
+      const id = await createUpload(5)
+      await patch(id, 0, [Buffer.from('hello')])
+      const completing = instance.completeResumableUpload(createReq(), id, {})
+      const { error } = await patch(id, 5, [Buffer.from('!')])
+      assert.equal(error, mockApp.errors.UPLOAD_LOCKED)
+      await completing
+    })
+
+    describe('consumed by #fileUploadParser()', () => {
+      let appInstance
+
+      beforeEach(() => {
+        instance.recordUploadQuota = mock.fn(async () => {})
+        appInstance = mock.getter(App, 'instance', () => ({ errors: mockApp.errors, waitForModule: async () => instance }))
+      })
+
+      afterEach(() => appInstance.mock.restore())
+
+      const createFinishedUpload = async () => {
+        const id = await createUpload(10, `filename ${Buffer.from('notes.txt').toString('base64')},filetype ${Buffer.from('text/plain').toString('base64')}`)
+        await patch(id, 0, [Buffer.from('helloworld')])
+        return id
+      }
+      const parse = (id, userId) => {
+        const req = Object.assign(createReq({ 'Content-Type': 'application/json' }, [], userId), { body: { uploadId: id } })
+        return instance.fileUploadParser(['text/plain'], { promisify: true })(req, createRes(), () => {}).then(() => req)
+      }
+
+      it('should add the upload to req.fileUpload', async () => {
+        const req = await parse(await createFinishedUpload())
+        const [file] = req.fileUpload.files.file
+        assert.equal(file.originalFilename, 'notes.txt')
+        assert.equal(await fs.readFile(file.filepath, 'utf8'), 'helloworld')
+        assert.equal(instance.recordUploadQuota.mock.calls.length, 1)
+      })
+
+      it('should only allow an upload to be used once', async () => {
+        const id = await createFinishedUpload()
+        await parse(id)
+        await assert.rejects(parse(id), e => e === mockApp.errors.UNKNOWN_UPLOAD)
+      })
+
+      it("should reject another user's upload", async () => {
+        const id = await createFinishedUpload()
+        await assert.rejects(parse(id, 'user2'), e => e === mockApp.errors.UNKNOWN_UPLOAD)
+        assert.equal((await parse(id)).fileUpload.files.file.length, 1)
+      })
+    })
+  })
+
+  describe('upload quotas', () => {
+    let instance
+    let mockApp
+    const createReq = (userId = 'user1', scopes = []) => ({ auth: { user: { _id: userId }, scopes } })
+
+    beforeEach(() => {
+      ({ instance, mockApp } = createInstance())
+      instance.getUploadQuotaLimiter = async (type, tier, points, duration) => {
+        const key = `${type}_${tier}`
+        if (!instance.uploadQuotaLimiters.has(key)) {
+          instance.uploadQuotaLimiters.set(key, new RateLimiterMemory({ keyPrefix: key, points, duration: duration / 1000 }))
+        }
+        return instance.uploadQuotaLimiters.get(key)
+      }
+    })
+
+    it('should return the full allowance for new users', async () => {
+      const state = await instance.getUploadQuotaState(createReq())
+      assert.equal(state.tier, 'authenticated')
+      assert.deepEqual(state.size, { limit: 100, used: 0, remaining: 100, resetAt: undefined })
+      assert.deepEqual(state.files, { limit: 2, used: 0, remaining: 2, resetAt: undefined })
+    })
+
+    it('should record uploaded files against the user', async () => {
+      await instance.recordUploadQuota(createReq(), { a: [{ size: 30 }, { size: 10 }] })
+      const state = await instance.getUploadQuotaState(createReq())
+      assert.equal(state.size.remaining, 60)
+      assert.equal(state.files.remaining, 0)
+      assert.ok(state.files.resetAt > new Date())
+      assert.equal((await instance.getUploadQuotaState(createReq('user2'))).size.remaining, 100)
+    })
+
+    it('should use the tier matching the user\'s scopes', async () => {
+      const state = await instance.getUploadQuotaState(createReq('user1', ['write:config']))
+      assert.equal(state.tier, 'admin')
+      assert.equal(state.files.limit, 10)
+      assert.equal(state.size, undefined)
+    })
+
+    it('should throw UPLOAD_QUOTA_EXCEEDED when an upload is too big', async () => {
+      await instance.recordUploadQuota(createReq(), { file: [{ size: 90 }] })
+      await assert.doesNotReject(instance.checkUploadQuota(createReq(), 10))
+      await assert.rejects(instance.checkUploadQuota(createReq(), 11), mockApp.errors.UPLOAD_QUOTA_EXCEEDED)
+      assert.equal(mockApp.errors.UPLOAD_QUOTA_EXCEEDED.setData.mock.calls[0].arguments[0].limit, 'size')
+    })
+
+    it('should throw UPLOAD_QUOTA_EXCEEDED when there are too many files', async () => {
+      await instance.recordUploadQuota(createReq(), { file: [{ size: 1 }, { size: 1 }] })
+      await assert.rejects(instance.checkUploadQuota(createReq()), mockApp.errors.UPLOAD_QUOTA_EXCEEDED)
+      assert.equal(mockApp.errors.UPLOAD_QUOTA_EXCEEDED.setData.mock.calls[0].arguments[0].limit, 'files')
+    })
+
+    it('should not apply quotas to unauthenticated requests', async () => {
+      assert.equal(await instance.checkUploadQuota({}, 1000), undefined)
+      await instance.recordUploadQuota({}, { file: [{ size: 1000 }] })
+      assert.equal(instance.uploadQuotaLimiters.size, 0)
+    })
+
+    it('should return the allowance from the quota route', async () => {
+      const res = { json: mock.fn() }
+      await instance.uploadQuotaHandler(createReq(), res, assert.ifError)
+      assert.equal(res.json.mock.calls[0].arguments[0].size.remaining, 100)
+    })
+  })
+
+  describe('upload progress', () => {
+    const createReq = (id = 'upload-1234', userId = 'user1') => Object.assign(new EventEmitter(), {
+      params: { id },
+      auth: { user: { _id: userId } },
+      get: name => name === 'X-Upload-Progress-Id' ? id : undefined,
+      translate: e => `translated ${e.message}`
+    })
+    const createRes = () => ({ set: mock.fn(), flushHeaders: mock.fn(), write: mock.fn(), end: mock.fn() })
+    const events = res => res.write.mock.calls.map(c => {
+      const [, event, data] = c.arguments[0].match(/^event: (\w+)\ndata: (.*)\n\n$/)
+      return { event, ...JSON.parse(data) }
+    })
+    const subscribe = (instance, id, userId) => {
+      const res = createRes()
+      instance.uploadProgressHandler(createReq(id, userId), res, assert.ifError)
+      return res
+    }
+    let instance
+
+    beforeEach(() => {
+      ({ instance } = createInstance())
+    })
+
+    it('should stream progress events to listeners', () => {
+      const res = subscribe(instance, 'upload-1234')
+      assert.equal(res.set.mock.calls[0].arguments[0]['Content-Type'], 'text/event-stream')
+      const req = createReq()
+      instance.setUploadProgress(req, { phase: 'receiving', bytesReceived: 10, bytesExpected: 100 })
+      instance.setUploadProgress(req, { phase: 'validating' })
+      instance.setUploadProgress(req, { status: 'complete' })
+      assert.deepEqual(events(res), [
+        { event: 'active', status: 'active', phase: 'receiving', bytesReceived: 10, bytesExpected: 100 },
+        { event: 'active', status: 'active', phase: 'validating', bytesReceived: 10, bytesExpected: 100 },
+        { event: 'complete', status: 'complete', phase: 'validating', bytesReceived: 10, bytesExpected: 100 }
+      ])
+    })
+
+    it('should throttle events while receiving data', () => {
+      const res = subscribe(instance, 'upload-1234')
+      const req = createReq()
+      instance.setUploadProgress(req, { phase: 'receiving', bytesReceived: 10 })
+      instance.setUploadProgress(req, { phase: 'receiving', bytesReceived: 20 })
+      instance.setUploadProgress(req, { phase: 'validating' })
+      assert.deepEqual(events(res).map(e => e.bytesReceived), [10, 20])
+    })
+
+    it('should report the failed phase with a translated error', () => {
+      const res = subscribe(instance, 'upload-1234')
+      const req = createReq()
+      instance.setUploadProgress(req, { phase: 'unzipping' })
+      instance.setUploadProgress(req, { status: 'failed', error: new Error('UNSAFE_ZIP') })
+      assert.deepEqual(events(res)[1], { event: 'failed', status: 'failed', phase: 'unzipping', error: 'translated UNSAFE_ZIP' })
+    })
+
+    it('should send the current progress to late listeners', () => {
+      instance.setUploadProgress(createReq(), { status: 'complete' })
+      const res = subscribe(instance, 'upload-1234')
+      assert.deepEqual(events(res), [{ event: 'complete', status: 'complete' }])
+    })
+
+    it('should not send progress to other users', () => {
+      const res = subscribe(instance, 'upload-1234', 'user2')
+      instance.setUploadProgress(createReq(), { phase: 'receiving', bytesReceived: 10 })
+      assert.equal(res.write.mock.callCount(), 0)
+    })
+
+    it('should stop sending progress once the listener disconnects', () => {
+      const req = createReq()
+      const res = createRes()
+      instance.uploadProgressHandler(req, res, assert.ifError)
+      req.emit('close')
+      instance.setUploadProgress(createReq(), { phase: 'receiving', bytesReceived: 10 })
+      assert.equal(res.write.mock.callCount(), 0)
+    })
+
+    it('should ignore uploads without a valid progress ID', () => {
+      instance.setUploadProgress(createReq('bad id'), { phase: 'receiving' })
+      instance.setUploadProgress(createReq(null), { phase: 'receiving' })
+      assert.equal(instance.uploadProgress.size, 0)
+    })
+
+    it('should reject listeners without a valid progress ID', () => {
+      const next = mock.fn()
+      instance.uploadProgressHandler(createReq('../x'), createRes(), next)
+      assert.equal(next.mock.calls[0].arguments[0], instance.app.errors.INVALID_PARAMS)
+    })
+
+    it('should remove progress after uploadProgressRetention', async () => {
+      const { instance } = createInstance({ uploadProgressRetention: 10 })
+      const res = subscribe(instance, 'upload-1234')
+      await new Promise(resolve => setTimeout(resolve, 30))
+      assert.equal(instance.uploadProgress.size, 0)
+      assert.equal(res.end.mock.callCount(), 1)
+    })
+  })
+
+  describe('#addFileMetadata()', () => {
+    it('should add metadata read from the file', async () => {
+      const { instance } = createInstance()
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'middleware-metadata-'))
+      const file = { filepath: path.join(tmpDir, 'image.png'), mimetype: 'image/png' }
+      await fs.writeFile(file.filepath, Buffer.from('89504e470d0a1a0a0000000d49484452000000020000000308060000001f15c489', 'hex'))
+      await instance.addFileMetadata(file)
+      await fs.rm(tmpDir, { recursive: true })
+      assert.deepEqual(file.metadata, { width: 2, height: 3 })
+    })
+  })
+
+  describe('#unzipUpload()', () => {
+    let tmpDir
+
+    before(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'middleware-unzip-'))
+    })
+
+    after(() => fs.rm(tmpDir, { recursive: true }))
+
+    it('should ignore files which are not zips', async () => {
+      const { instance } = createInstance()
+      const file = { filepath: '/tmp/a.png', mimetype: 'image/png' }
+      await instance.unzipUpload(file, {})
+      assert.deepEqual(file, { filepath: '/tmp/a.png', mimetype: 'image/png' })
+    })
+
+    it('should reject unreadable zips with UNSAFE_ZIP', async () => {
+      const { instance, mockApp } = createInstance()
+      const filepath = path.join(tmpDir, 'bad.zip')
+      await fs.writeFile(filepath, 'not a zip')
+      await assert.rejects(
+        instance.unzipUpload({ filepath, originalFilename: 'bad.zip', mimetype: 'application/zip' }, {}),
+        e => e === mockApp.errors.UNSAFE_ZIP
+      )
+      const [data] = mockApp.errors.UNSAFE_ZIP.setData.mock.calls[0].arguments
+      assert.equal(data.limit, 'format')
+      assert.equal(data.file, 'bad.zip')
+    })
+  })
+
+  describe('#fileUploadParser()', () => {
+    it('should return a function', () => {
+      const { instance } = createInstance()
+      const parser = instance.fileUploadParser(['image/png'])
+      assert.equal(typeof parser, 'function')
+    })
+
+    describe('upload quotas', () => {
+      let uploadDir, instance, mockApp, appInstance
+
+      beforeEach(async () => {
+        uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'middleware-multipart-'))
+        ;({ instance, mockApp } = createInstance())
+        instance.recordUploadQuota = mock.fn(async () => {})
+        appInstance = mock.getter(App, 'instance', () => ({ errors: mockApp.errors, waitForModule: async () => instance }))
+      })
+
+      afterEach(async () => {
+        appInstance.mock.restore()
+        await fs.rm(uploadDir, { recursive: true })
+      })
+
+      const setRemaining = (files, size) => {
+        instance.getUploadQuotaState = async () => ({ files: { limit: 10, remaining: files }, size: { limit: 1000, remaining: size } })
+      }
+      const parse = (files, { chunked = false } = {}) => {
+        const boundary = 'testboundary'
+        const body = files.map(([name, content]) => {
+          return `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${name}"\r\nContent-Type: text/plain\r\n\r\n${content}\r\n`
+        }).join('') + `--${boundary}--\r\n`
+        const req = Object.assign(Readable.from([Buffer.from(body)]), {
+          headers: {
+            'content-type': `multipart/form-data; boundary=${boundary}`,
+            ...(chunked ? { 'transfer-encoding': 'chunked' } : { 'content-length': String(body.length) })
+          },
+          body: {}
+        })
+        return instance.fileUploadParser(['text/plain'], { uploadDir, promisify: true, textFileTypes: { txt: 'text/plain' } })(req, {}, () => {})
+      }
+
+      it('should reject requests with more files than the quota allows', async () => {
+        setRemaining(1, 1000)
+        await assert.rejects(parse([['a.txt', 'a'], ['b.txt', 'b']]), mockApp.errors.UPLOAD_QUOTA_EXCEEDED)
+        assert.equal(mockApp.errors.UPLOAD_QUOTA_EXCEEDED.setData.mock.calls.at(-1).arguments[0].limit, 'files')
+        assert.equal(instance.recordUploadQuota.mock.calls.length, 0)
+        assert.deepEqual(await fs.readdir(uploadDir), [])
+      })
+
+      it('should reject chunked requests once the size quota is used up', async () => {
+        setRemaining(1, 0)
+        await assert.rejects(parse([['a.txt', 'hello']], { chunked: true }), mockApp.errors.UPLOAD_QUOTA_EXCEEDED)
+        assert.equal(instance.recordUploadQuota.mock.calls.length, 0)
+        assert.deepEqual(await fs.readdir(uploadDir), [])
+      })
+
+      it('should record uploads within the quota', async () => {
+        setRemaining(2, 1000)
+        await parse([['a.txt', 'a'], ['b.txt', 'b']])
+        assert.equal(instance.recordUploadQuota.mock.calls.length, 1)
+      })
+    })
+  })
+
+  describe('#urlUploadParser()', () => {
+    it('should return a function', () => {
+      const { instance } = createInstance()
+      const parser = instance.urlUploadParser(['image/png'], {})
+      assert.equal(typeof parser, 'function')
+    })
+  })
+
+  describe('#rawUploadParser()', () => {
+    let uploadDir, instance, mockApp, appInstance
+
+    beforeEach(async () => {
+      uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'middleware-raw-'))
+      ;({ instance, mockApp } = createInstance())
+      instance.checkUploadQuota = mock.fn(async () => {})
+      instance.recordUploadQuota = mock.fn(async () => {})
+      appInstance = mock.getter(App, 'instance', () => ({ errors: mockApp.errors, waitForModule: async () => instance }))
+    })
+
+    afterEach(async () => {
+      appInstance.mock.restore()
+      await fs.rm(uploadDir, { recursive: true })
+    })
+
+    const createReq = ({ headers = {}, body, chunks = [] } = {}) => {
+      return Object.assign(Readable.from(chunks), {
+        headers,
+        body,
+        is: () => ({ 'application/json': 'json' })[headers['content-type']] ?? false
+      })
+    }
+    const parse = (req, options = {}) => {
+      return instance.rawUploadParser(['text/plain'], { uploadDir, promisify: true, textFileTypes: { txt: 'text/plain' }, ...options })(req, {}, () => {})
+    }
+    const readUpload = req => fs.readFile(req.fileUpload.files.file[0].filepath, 'utf8')
+
+    it('should return a function', () => {
+      const parser = instance.rawUploadParser(['image/png'], {})
+      assert.equal(typeof parser, 'function')
+    })
+
+    it('should save a raw body, using the name from Content-Disposition', async () => {
+      const req = createReq({
+        headers: { 'content-type': 'text/plain', 'content-length': '5', 'content-disposition': 'attachment; filename="notes.txt"' },
+        chunks: ['hel', 'lo']
+      })
+      await parse(req)
+      const [file] = req.fileUpload.files.file
+      assert.equal(file.originalFilename, 'notes.txt')
+      assert.equal(file.size, 5)
+      assert.equal(await readUpload(req), 'hello')
+    })
+
+    it('should decode base64 from the JSON body and remove the field', async () => {
+      const req = createReq({ headers: { 'content-type': 'application/json' }, body: { file: Buffer.from('hello').toString('base64'), filename: 'a.txt' } })
+      await parse(req)
+      assert.equal(req.fileUpload.files.file[0].originalFilename, 'a.txt')
+      assert.equal(await readUpload(req), 'hello')
+      assert.deepEqual(req.body, { filename: 'a.txt' })
+    })
+
+    it('should decode URL-safe base64', async () => {
+      const req = createReq({ headers: { 'content-type': 'application/json' }, body: { file: 'Pj4-Pw', filename: 'a.txt' } })
+      await parse(req)
+      assert.equal(await readUpload(req), '>>>?')
+    })
+
+    it('should decode data URIs from the field set by rawUploadField', async () => {
+      const req = createReq({ headers: { 'content-type': 'application/json' }, body: { data: 'data:text/plain;base64,aGVsbG8=' } })
+      await parse(req, { rawUploadField: 'data' })
+      const [file] = req.fileUpload.files.file
+      assert.equal(file.mimetype, 'text/plain')
+      assert.equal(await readUpload(req), 'hello')
+      assert.equal(req.body.data, undefined)
+    })
+
+    it('should reject invalid base64 with INVALID_PARAMS', async () => {
+      const req = createReq({ headers: { 'content-type': 'application/json' }, body: { file: '***' } })
+      await assert.rejects(parse(req), e => e === mockApp.errors.INVALID_PARAMS)
+      assert.equal(req.fileUpload, undefined)
+    })
+
+    it('should reject files over the size limit with FILE_EXCEEDS_MAX_SIZE', async () => {
+      const declared = createReq({ headers: { 'content-type': 'text/plain', 'content-length': '5' }, chunks: ['hello'] })
+      await assert.rejects(parse(declared, { maxFileSize: 3 }), e => e === mockApp.errors.FILE_EXCEEDS_MAX_SIZE)
+      const streamed = createReq({ headers: { 'content-type': 'text/plain' }, chunks: ['he', 'llo'] })
+      await assert.rejects(parse(streamed, { maxFileSize: 3 }), e => e === mockApp.errors.FILE_EXCEEDS_MAX_SIZE)
+      assert.deepEqual(await fs.readdir(uploadDir), [])
+    })
+
+    it('should do nothing if there is no raw body or encoded file', async () => {
+      const req = createReq({ headers: { 'content-type': 'application/json' }, body: { title: 'a' } })
+      await parse(req)
+      assert.equal(req.fileUpload, undefined)
+      assert.deepEqual(req.body, { title: 'a' })
+      assert.equal(instance.checkUploadQuota.mock.calls.length, 0)
+    })
+  })
+
+  describe('#fetchUploadUrl()', () => {
+    let server
+    let port
+
+    before(async () => {
+      server = http.createServer((req, res) => res.end('ok'))
+      await new Promise(resolve => server.listen(0, resolve))
+      port = server.address().port
+    })
+
+    after(() => server.close())
+
+    it('should reject non-http protocols with BLOCKED_ASSET_URL', async () => {
+      const { instance, mockApp } = createInstance()
+      await assert.rejects(instance.fetchUploadUrl('file:///etc/passwd'), e => e === mockApp.errors.BLOCKED_ASSET_URL)
+    })
+
+    it('should reject blocked hosts with BLOCKED_ASSET_URL', async () => {
+      const { instance, mockApp } = createInstance()
+      await assert.rejects(instance.fetchUploadUrl('http://blocked.example.com/a.png'), e => e === mockApp.errors.BLOCKED_ASSET_URL)
+    })
+
+    it('should reject private IP addresses without making a request', async () => {
+      const { instance, mockApp } = createInstance()
+      await assert.rejects(instance.fetchUploadUrl(`http://127.0.0.1:${port}/`), e => e === mockApp.errors.BLOCKED_ASSET_URL)
+    })
+
+    it('should reject hostnames which resolve to private addresses', async () => {
+      const { instance, mockApp } = createInstance()
+      await assert.rejects(instance.fetchUploadUrl(`http://localhost:${port}/`), e => e === mockApp.errors.BLOCKED_ASSET_URL)
+      const [data] = mockApp.errors.BLOCKED_ASSET_URL.setData.mock.calls.at(-1).arguments
+      assert.match(data.reason, /address .* not allowed/)
+    })
+
+    describe('redirects', () => {
+      let redirectServer
+      let redirectPort
+
+      before(async () => {
+        redirectServer = http.createServer((req, res) => {
+          const [, type, n] = req.url.split('/')
+          const location = {
+            host: 'http://blocked.example.com/a.png',
+            ip: 'http://10.0.0.1/a.png',
+            lookup: `http://localhost:${port}/a.png`,
+            chain: `http://public.test:${redirectPort}/chain/${Number(n) + 1}`,
+            once: `http://public.test:${redirectPort}/done`
+          }[type]
+          if (!location) return res.end('ok')
+          res.writeHead(302, { Location: location }).end()
+        })
+        await new Promise(resolve => redirectServer.listen(0, resolve))
+        redirectPort = redirectServer.address().port
+      })
+
+      after(() => redirectServer.close())
+
+      // routes public.test to the local server, bypassing the address check for that host only
+      beforeEach(t => {
+        const { request } = http
+        t.mock.method(http, 'request', (options, ...args) => {
+          if (options.hostname === 'public.test') options = { ...options, hostname: '127.0.0.1', host: '127.0.0.1' }
+          return request(options, ...args)
+        })
+      })
+
+      const fetch = async path => {
+        const { instance, mockApp } = createInstance()
+        const url = `http://public.test:${redirectPort}${path}`
+        const error = await instance.fetchUploadUrl(url).then(res => { res.data.destroy() }, e => e)
+        const data = error && mockApp.errors.BLOCKED_ASSET_URL.setData.mock.calls.at(-1).arguments[0]
+        return { error, data, mockApp }
+      }
+
+      it('should follow allowed redirects', async () => {
+        const { error } = await fetch('/once')
+        assert.equal(error, undefined)
+      })
+
+      it('should reject redirects to blocked hosts, reporting the redirect target', async () => {
+        const { error, data, mockApp } = await fetch('/host')
+        assert.equal(error, mockApp.errors.BLOCKED_ASSET_URL)
+        assert.equal(data.url, 'http://blocked.example.com/a.png')
+      })
+
+      it('should reject redirects to private IP addresses, reporting the redirect target', async () => {
+        const { error, data, mockApp } = await fetch('/ip')
+        assert.equal(error, mockApp.errors.BLOCKED_ASSET_URL)
+        assert.equal(data.url, 'http://10.0.0.1/a.png')
+      })
+
+      it('should reject redirects to hostnames which resolve to private addresses, reporting the redirect target', async () => {
+        const { error, data, mockApp } = await fetch('/lookup')
+        assert.equal(error, mockApp.errors.BLOCKED_ASSET_URL)
+        assert.equal(data.url, `http://localhost:${port}/a.png`)
+        assert.match(data.reason, /address .* not allowed/)
+      })
+
+      it('should reject more than urlUploadMaxRedirects redirects', async () => {
+        const { error, data, mockApp } = await fetch('/chain/0')
+        assert.equal(error, mockApp.errors.BLOCKED_ASSET_URL)
+        assert.equal(data.reason, 'too many redirects')
+      })
+    })
+  })
+
+  describe('#downloadUploadFile()', () => {
+    const png = Buffer.from('89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c489', 'hex')
+    let uploadDir
+
+    before(async () => {
+      uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'middleware-download-'))
+    })
+
+    after(() => fs.rm(uploadDir, { recursive: true }))
+
+    const createResponse = (chunks, headers = {}) => ({
+      data: Readable.from(chunks),
+      headers,
+      config: { url: 'https://example.com/files/image.png' }
+    })
+
+    it('should write the file and return formidable-style file data', async () => {
+      const { instance } = createInstance()
+      const file = await instance.downloadUploadFile(createResponse([png], { 'content-type': 'image/png' }), { uploadDir, maxFileSize: 1000 })
+      assert.equal(file.originalFilename, 'image.png')
+      assert.match(file.newFilename, /^[0-9a-f]{32}\.png$/)
+      assert.equal(file.filepath, path.join(uploadDir, file.newFilename))
+      assert.equal(file.size, png.length)
+      assert.deepEqual(await fs.readFile(file.filepath), png)
+    })
+
+    it('should compute a SHA-256 hash when the hash option is set', async () => {
+      const { instance } = createInstance()
+      const file = await instance.downloadUploadFile(createResponse([png.subarray(0, 10), png.subarray(10)]), { uploadDir, maxFileSize: 1000, hash: true })
+      assert.equal(file.hash, createHash('sha256').update(png).digest('hex'))
+    })
+
+    it('should not compute a hash by default', async () => {
+      const { instance } = createInstance()
+      const file = await instance.downloadUploadFile(createResponse([png]), { uploadDir, maxFileSize: 1000 })
+      assert.equal(file.hash, null)
+    })
+
+    it('should use the sniffed file type over the declared one', async () => {
+      const { instance } = createInstance()
+      const file = await instance.downloadUploadFile(createResponse([png], { 'content-type': 'text/html' }), { uploadDir, maxFileSize: 1000 })
+      assert.equal(file.mimetype, 'image/png')
+    })
+
+    it('should use the declared type when the file type cannot be sniffed', async () => {
+      const { instance } = createInstance()
+      const file = await instance.downloadUploadFile(createResponse(['WEBVTT'], { 'content-type': 'text/vtt; charset=utf-8' }), { uploadDir, maxFileSize: 1000 })
+      assert.equal(file.mimetype, 'text/vtt')
+    })
+
+    it('should reject a declared content-length over the limit without writing', async () => {
+      const { instance, mockApp } = createInstance()
+      const before = await fs.readdir(uploadDir)
+      await assert.rejects(
+        instance.downloadUploadFile(createResponse([png], { 'content-length': '5000' }), { uploadDir, maxFileSize: 1000 }),
+        e => e === mockApp.errors.FILE_EXCEEDS_MAX_SIZE
+      )
+      assert.deepEqual(await fs.readdir(uploadDir), before)
+    })
+
+    it('should abort and remove the partial file when the data exceeds the limit', async () => {
+      const { instance } = createInstance()
+      const before = await fs.readdir(uploadDir)
+      const chunks = [Buffer.alloc(600), Buffer.alloc(600)]
+      await assert.rejects(instance.downloadUploadFile(createResponse(chunks, { 'content-length': '10' }), { uploadDir, maxFileSize: 1000 }))
+      assert.deepEqual(await fs.readdir(uploadDir), before)
+    })
+  })
+
+  describe('#saveUploadStream()', () => {
+    let uploadDir
+
+    before(async () => {
+      uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'middleware-stream-'))
+    })
+
+    after(() => fs.rm(uploadDir, { recursive: true }))
+
+    it('should save the stream using the declared file data', async () => {
+      const { instance } = createInstance()
+      const file = await instance.saveUploadStream(Readable.from(['a,b\n1,2']), { mimetype: 'text/csv', originalFilename: 'data.csv' }, { uploadDir, maxFileSize: 1000 })
+      assert.equal(file.originalFilename, 'data.csv')
+      assert.equal(file.mimetype, 'text/csv')
+      assert.equal(file.size, 7)
+      assert.equal(await fs.readFile(file.filepath, 'utf8'), 'a,b\n1,2')
+    })
+
+    it('should report progress as data is received', async () => {
+      const { instance } = createInstance()
+      const onProgress = mock.fn()
+      await instance.saveUploadStream(Readable.from(['abc', 'de']), { size: 5, originalFilename: 'a.txt' }, { uploadDir, maxFileSize: 1000 }, onProgress)
+      assert.deepEqual(onProgress.mock.calls.at(-1).arguments, [5, 5])
+    })
+  })
+
+  describe('#configRequestHandler()', () => {
+    it('should respond with public config data', () => {
+      const { instance } = createInstance()
+      const res = { json: mock.fn() }
+      instance.configRequestHandler({}, res)
+      assert.equal(res.json.mock.calls.length, 1)
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], { 'some.key': 'value' })
+    })
+  })
+
+  describe('#langRequestHandler()', () => {
+    const createReq = (params = {}, query = {}, { fresh = false, encoding = 'identity' } = {}) => ({
+      params,
+      query,
+      fresh,
+      acceptsLanguages: mock.fn(() => ['fr']),
+      acceptsEncodings: mock.fn(() => encoding)
+    })
+    const createRes = () => {
+      const res = { headers: {} }
+      res.set = mock.fn((key, value) => {
+        Object.assign(res.headers, typeof key === 'object' ? key : { [key]: value })
+        return res
+      })
+      res.vary = mock.fn(() => res)
+      res.type = mock.fn(() => res)
+      res.status = mock.fn(() => res)
+      res.end = mock.fn()
+      res.send = mock.fn()
+      return res
+    }
+
+    it('should respond with phrases for the specified lang param', async () => {
+      const { instance } = createInstance()
+      const res = createRes()
+      await instance.langRequestHandler(createReq({ lang: 'en' }), res, () => {})
+      assert.equal(res.send.mock.calls.length, 1)
+      assert.deepEqual(JSON.parse(res.send.mock.calls[0].arguments[0]), { hello: 'Hello' })
+    })
+
+    it('should fall back to Accept-Language header when no param given', async () => {
+      const { instance } = createInstance()
+      const res = createRes()
+      await instance.langRequestHandler(createReq(), res, () => {})
+      assert.equal(res.send.mock.calls.length, 1)
+      assert.deepEqual(JSON.parse(res.send.mock.calls[0].arguments[0]), { hello: 'Bonjour' })
+    })
+
+    it('should fall back to the base language of a regional locale in the Accept-Language header', async () => {
+      const { instance } = createInstance()
+      const res = createRes()
+      const req = { ...createReq(), acceptsLanguages: mock.fn(() => ['de', 'fr-CA']) }
+      await instance.langRequestHandler(req, res, () => {})
+      assert.equal(res.headers['Content-Language'], 'fr')
+    })
+
+    it('should call next with UNKNOWN_LANG error for unknown lang', async () => {
+      const { instance } = createInstance()
+      const res = createRes()
+      const next = mock.fn()
+      await instance.langRequestHandler(createReq({ lang: 'de' }), res, next)
+      assert.equal(next.mock.calls.length, 1)
+      assert.equal(res.send.mock.calls.length, 0)
+    })
+
+    it('should fall back to the base language of a regional locale', async () => {
+      const { instance } = createInstance()
+      const res = createRes()
+      await instance.langRequestHandler(createReq({ lang: 'fr-CA' }), res, () => {})
+      assert.deepEqual(JSON.parse(res.send.mock.calls[0].arguments[0]), { hello: 'Bonjour' })
+    })
+
+    it('should list fallback phrases if the fallbacks flag is set', async () => {
+      const { instance, mockApp } = createInstance()
+      mockApp.lang.phrases.en.bye = 'Bye'
+      const res = createRes()
+      await instance.langRequestHandler(createReq({ lang: 'fr' }, { fallbacks: 'true' }), res, () => {})
+      assert.deepEqual(JSON.parse(res.send.mock.calls[0].arguments[0]), {
+        lang: 'fr',
+        phrases: { hello: 'Bonjour', bye: 'Bye' },
+        fallbacks: { bye: 'en' }
+      })
+    })
+
+    it('should set ETag and Cache-Control headers', async () => {
+      const { instance } = createInstance()
+      const res = createRes()
+      await instance.langRequestHandler(createReq({ lang: 'en' }), res, () => {})
+      assert.match(res.headers.ETag, /^"[\w-]+"$/)
+      assert.equal(res.headers['Cache-Control'], 'public, no-cache')
+    })
+
+    it('should respond with 304 if the client has the current version', async () => {
+      const { instance } = createInstance()
+      const res = createRes()
+      await instance.langRequestHandler(createReq({ lang: 'en' }, {}, { fresh: true }), res, () => {})
+      assert.equal(res.status.mock.calls[0].arguments[0], 304)
+      assert.equal(res.end.mock.calls.length, 1)
+      assert.equal(res.send.mock.calls.length, 0)
+    })
+
+    it('should send the gzipped response with its own ETag to clients accepting gzip', async () => {
+      const { instance } = createInstance({ langPreSerialise: true })
+      const identityRes = createRes()
+      await instance.langRequestHandler(createReq({ lang: 'en' }), identityRes, () => {})
+      const gzipRes = createRes()
+      await instance.langRequestHandler(createReq({ lang: 'en' }, {}, { encoding: 'gzip' }), gzipRes, () => {})
+      assert.equal(gzipRes.headers['Content-Encoding'], 'gzip')
+      assert.deepEqual(JSON.parse(zlib.gunzipSync(gzipRes.send.mock.calls[0].arguments[0])), { hello: 'Hello' })
+      assert.equal(identityRes.headers['Content-Encoding'], undefined)
+      assert.equal(gzipRes.headers.ETag, identityRes.headers.ETag.replace(/"$/, '-gzip"'))
+      assert.deepEqual(gzipRes.vary.mock.calls[0].arguments, ['Accept-Encoding'])
+    })
+
+    it('should only include the namespaces listed in ns', async () => {
+      const { instance, mockApp } = createInstance()
+      mockApp.lang.phrases.en = { 'app.save': 'Save', 'error.X': 'Error', 'docs.title': 'Docs' }
+      const res = createRes()
+      await instance.langRequestHandler(createReq({ lang: 'en' }, { ns: 'app, error' }), res, () => {})
+      assert.deepEqual(JSON.parse(res.send.mock.calls[0].arguments[0]), { 'app.save': 'Save', 'error.X': 'Error' })
+    })
+  })
+
+  describe('#langListHandler()', () => {
+    it('should list supported languages with their names and completeness', () => {
+      const { instance, mockApp } = createInstance()
+      mockApp.lang.phrases = {
+        en: { 'app.a': 'A', 'app.b': 'B', 'app.c': 'C' },
+        fr: { 'app.a': 'A', 'app.b': 'B' },
+        'fr-CA': { 'app.c': 'C' }
+      }
+      mockApp.lang.supportedLanguages = Object.keys(mockApp.lang.phrases)
+      const res = { json: mock.fn() }
+      instance.langListHandler({}, res)
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], [
+        { lang: 'en', name: 'English', isDefault: true, completeness: 100 },
+        { lang: 'fr', name: 'Français', isDefault: false, completeness: 66 },
+        { lang: 'fr-CA', name: 'Français canadien', isDefault: false, completeness: 100 }
+      ])
+    })
+  })
+
+  describe('#resolveLang()', () => {
+    it('should return a supported locale', () => {
+      const { instance } = createInstance()
+      assert.equal(instance.resolveLang('fr'), 'fr')
+    })
+
+    it('should fall back to the base language', () => {
+      const { instance } = createInstance()
+      assert.equal(instance.resolveLang('en-GB'), 'en')
+    })
+
+    it('should match case-insensitively', () => {
+      const { instance } = createInstance()
+      assert.equal(instance.resolveLang('FR'), 'fr')
+    })
+
+    it('should not fall back to the default language', () => {
+      const { instance } = createInstance()
+      assert.equal(instance.resolveLang('de'), undefined)
+    })
+  })
+
+  describe('#getLangPhrases()', () => {
+    it('should merge phrases over the default language, and list which fell back', () => {
+      const { instance, mockApp } = createInstance()
+      mockApp.lang.phrases = {
+        en: { a: 'A', b: 'B', c: 'C' },
+        fr: { a: 'Afr', b: 'Bfr' },
+        'fr-CA': { a: 'Aca' }
+      }
+      assert.deepEqual(instance.getLangPhrases('fr-CA'), {
+        phrases: { a: 'Aca', b: 'Bfr', c: 'C' },
+        fallbacks: { b: 'fr', c: 'en' }
+      })
+    })
+  })
+
+  describe('#getLangResponse()', () => {
+    const createPreSerialisingInstance = () => {
+      const created = createInstance({ langPreSerialise: true })
+      created.mockApp.lang.phrases.en = { 'app.save': 'Save', 'error.X': 'Error' }
+      return created
+    }
+
+    it('should generate the same ETag for the same phrases', async () => {
+      const { instance } = createInstance()
+      const a = await instance.getLangResponse('en')
+      const b = await instance.getLangResponse('en')
+      assert.equal(a.etag, b.etag)
+      assert.notEqual(a.etag, (await instance.getLangResponse('fr')).etag)
+    })
+
+    it('should not cache or gzip responses by default', async () => {
+      const { instance } = createInstance()
+      const response = await instance.getLangResponse('en')
+      assert.equal(response.gzip, undefined)
+      assert.equal(instance.langResponses.size, 0)
+    })
+
+    it('should cache gzipped responses if langPreSerialise is enabled', async () => {
+      const { instance } = createPreSerialisingInstance()
+      const response = await instance.getLangResponse('en')
+      assert.equal(zlib.gunzipSync(response.gzip).toString(), response.body)
+      assert.equal(await instance.getLangResponse('en'), response)
+    })
+
+    it('should cache responses with and without fallbacks separately', async () => {
+      const { instance } = createPreSerialisingInstance()
+      const response = await instance.getLangResponse('en', undefined, true)
+      assert.notEqual(await instance.getLangResponse('en'), response)
+      assert.equal(await instance.getLangResponse('en', undefined, true), response)
+      assert.equal(instance.langResponses.size, 2)
+    })
+
+    it('should not cache responses filtered by namespace', async () => {
+      const { instance } = createPreSerialisingInstance()
+      const response = await instance.getLangResponse('en', ['app'])
+      assert.deepEqual(JSON.parse(response.body), { 'app.save': 'Save' })
+      assert.equal(response.gzip, undefined)
+      assert.equal(instance.langResponses.size, 0)
+    })
+  })
+
+  describe('#addTranslationUtils()', () => {
+    const createReq = (props = {}) => ({ headers: {}, query: {}, acceptsLanguages: mock.fn(() => ['en']), ...props })
+    const createRes = () => ({ set: mock.fn(), vary: mock.fn() })
+
+    it('should add translate function to req and call next', () => {
+      const { instance } = createInstance()
+      const req = createReq()
+      const res = createRes()
+      const next = mock.fn()
+      instance.addTranslationUtils(req, res, next)
+      assert.equal(typeof req.translate, 'function')
+      assert.equal(next.mock.calls.length, 1)
+    })
+
+    it('should translate using the request locale', () => {
+      const { instance, mockApp } = createInstance()
+      const req = createReq({ acceptsLanguages: mock.fn(() => ['fr']) })
+      instance.addTranslationUtils(req, createRes(), () => {})
+      req.translate('app.save')
+      assert.deepEqual(mockApp.lang.translate.mock.calls[0].arguments.slice(0, 2), ['fr', 'app.save'])
+    })
+
+    it('should set req.locale and the Content-Language header', () => {
+      const { instance } = createInstance()
+      const req = createReq({ acceptsLanguages: mock.fn(() => ['fr']) })
+      const res = createRes()
+      instance.addTranslationUtils(req, res, () => {})
+      assert.equal(req.locale, 'fr')
+      assert.deepEqual(res.set.mock.calls[0].arguments, ['Content-Language', 'fr'])
+    })
+  })
+
+  describe('localised error responses', () => {
+    const error = { code: 'BODY_PARSE_FAILED', statusCode: 400, message: 'Failed to parse body', data: { error: 'bad json' } }
+    const createRes = () => {
+      const res = { set: mock.fn(), vary: mock.fn(), json: mock.fn(), sendError: mock.fn() }
+      res.status = mock.fn(() => res)
+      return res
+    }
+    const sendError = (instance, err, lang = 'fr') => {
+      const res = createRes()
+      const originalSendError = res.sendError
+      const req = { id: 'request-1', headers: {}, query: {}, acceptsLanguages: () => [lang] }
+      instance.addTranslationUtils(req, res, () => {})
+      res.sendError(err)
+      return { res, originalSendError }
+    }
+
+    it('should send app errors with their code, data, request ID and a translated message', () => {
+      const { instance, mockApp } = createInstance()
+      mockApp.lang.phrases.fr['error.BODY_PARSE_FAILED'] = 'Échec'
+      mockApp.lang.translate = mock.fn(() => 'Échec')
+      const { res } = sendError(instance, error)
+      assert.equal(res.status.mock.calls[0].arguments[0], 400)
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], { code: 'BODY_PARSE_FAILED', message: 'Échec', data: { error: 'bad json' }, requestId: 'request-1' })
+      assert.deepEqual(mockApp.lang.translate.mock.calls[0].arguments, ['fr', 'error.BODY_PARSE_FAILED', { error: 'bad json' }])
+    })
+
+    it('should use the fallback locale\'s string if the request locale has none', () => {
+      const { instance, mockApp } = createInstance()
+      mockApp.lang.phrases.en['error.BODY_PARSE_FAILED'] = 'Failed'
+      sendError(instance, error)
+      assert.equal(mockApp.lang.translate.mock.calls[0].arguments[0], 'en')
+    })
+
+    it('should use the error\'s message if no locale has a string for it', () => {
+      const { instance } = createInstance()
+      const { res } = sendError(instance, error)
+      assert.equal(res.json.mock.calls[0].arguments[0].message, 'Failed to parse body')
+    })
+
+    it('should pass other errors to the original sendError', () => {
+      const { instance } = createInstance()
+      const other = new Error('oops')
+      const { res, originalSendError } = sendError(instance, other)
+      assert.equal(originalSendError.mock.calls[0].arguments[0], other)
+      assert.equal(res.json.mock.calls.length, 0)
+    })
+  })
+
+  describe('missing translations', () => {
+    const report = (instance, body) => {
+      const res = { sendStatus: mock.fn() }
+      const next = mock.fn()
+      instance.langMissingReportHandler({ body }, res, next)
+      return { res, next }
+    }
+    const list = (instance, query = {}) => {
+      const res = { json: mock.fn() }
+      instance.langMissingListHandler({ query }, res)
+      return res.json.mock.calls[0].arguments[0]
+    }
+
+    it('should record keys used with req.translate which have no string', () => {
+      const { instance } = createInstance()
+      const req = { headers: {}, query: {}, acceptsLanguages: () => ['fr'] }
+      instance.addTranslationUtils(req, { set: () => {}, vary: () => {} }, () => {})
+      req.translate('app.missing')
+      req.translate('app.missing')
+      req.translate('hello')
+      const [entry, ...others] = list(instance)
+      assert.equal(others.length, 0)
+      assert.deepEqual({ ...entry, firstSeen: undefined, lastSeen: undefined }, {
+        lang: 'fr', key: 'app.missing', count: 2, sources: ['server'], firstSeen: undefined, lastSeen: undefined
+      })
+    })
+
+    it('should record error codes without a string', () => {
+      const { instance } = createInstance()
+      instance.translateError('en', { code: 'SOME_ERROR', message: 'Some error' })
+      assert.equal(list(instance)[0].key, 'error.SOME_ERROR')
+    })
+
+    it('should not record keys which have a string in a fallback locale', () => {
+      const { instance, mockApp } = createInstance()
+      mockApp.lang.phrases.en['app.save'] = 'Save'
+      instance.recordMissingTranslation('fr', 'app.save', 'server')
+      assert.deepEqual(list(instance), [])
+    })
+
+    it('should record keys reported by the client', () => {
+      const { instance } = createInstance()
+      const { res } = report(instance, { lang: 'fr-CA', keys: ['app.a', 'app.b', 'app.a'] })
+      assert.equal(res.sendStatus.mock.calls[0].arguments[0], 204)
+      assert.deepEqual(list(instance).map(({ lang, key, count, sources }) => ({ lang, key, count, sources })), [
+        { lang: 'fr', key: 'app.a', count: 1, sources: ['client'] },
+        { lang: 'fr', key: 'app.b', count: 1, sources: ['client'] }
+      ])
+    })
+
+    it('should reject reports with an unsupported lang', () => {
+      const { instance, mockApp } = createInstance()
+      const { next } = report(instance, { lang: 'de', keys: ['app.a'] })
+      assert.equal(next.mock.calls[0].arguments[0], mockApp.errors.INVALID_PARAMS)
+    })
+
+    it('should reject reports with invalid keys', () => {
+      const { instance, mockApp } = createInstance()
+      for (const keys of [undefined, [], ['app.a', 5], ['x'.repeat(201)], Array(101).fill('app.a')]) {
+        const { next } = report(instance, { lang: 'fr', keys })
+        assert.equal(next.mock.calls[0].arguments[0], mockApp.errors.INVALID_PARAMS)
+      }
+      assert.deepEqual(list(instance), [])
+    })
+
+    it('should stop recording new keys once langMissingMaxKeys is reached', () => {
+      const { instance } = createInstance({ langMissingMaxKeys: 2 })
+      report(instance, { lang: 'fr', keys: ['app.a', 'app.b', 'app.c'] })
+      report(instance, { lang: 'fr', keys: ['app.a'] })
+      assert.deepEqual(list(instance).map(e => [e.key, e.count]), [['app.a', 2], ['app.b', 1]])
+    })
+
+    it('should list keys for a single locale, most used first', () => {
+      const { instance } = createInstance()
+      report(instance, { lang: 'fr', keys: ['app.a'] })
+      report(instance, { lang: 'fr', keys: ['app.b'] })
+      report(instance, { lang: 'fr', keys: ['app.b'] })
+      report(instance, { lang: 'en', keys: ['app.c'] })
+      assert.deepEqual(list(instance, { lang: 'fr' }).map(e => e.key), ['app.b', 'app.a'])
+    })
+
+    it('should clear recorded keys', () => {
+      const { instance } = createInstance()
+      report(instance, { lang: 'fr', keys: ['app.a'] })
+      report(instance, { lang: 'en', keys: ['app.b'] })
+      const res = { sendStatus: mock.fn() }
+      instance.langMissingClearHandler({ query: { lang: 'fr' } }, res)
+      assert.deepEqual(list(instance).map(e => e.key), ['app.b'])
+      instance.langMissingClearHandler({ query: {} }, res)
+      assert.deepEqual(list(instance), [])
+    })
+  })
+
+  describe('#getRequestLocale()', () => {
+    const createReq = (props = {}) => ({ headers: {}, query: {}, acceptsLanguages: mock.fn(() => []), ...props })
+
+    it('should use the Accept-Language header', () => {
+      const { instance } = createInstance()
+      assert.equal(instance.getRequestLocale(createReq({ acceptsLanguages: mock.fn(() => ['fr']) })), 'fr')
+    })
+
+    it('should fall back to the default language if nothing matches', () => {
+      const { instance } = createInstance()
+      assert.equal(instance.getRequestLocale(createReq()), 'en')
+    })
+
+    it('should resolve regional locales in the Accept-Language header', () => {
+      const { instance } = createInstance()
+      assert.equal(instance.getRequestLocale(createReq({ acceptsLanguages: mock.fn(() => ['en-GB']) })), 'en')
+      assert.equal(instance.getRequestLocale(createReq({ acceptsLanguages: mock.fn(() => ['de', 'fr-CA', 'en']) })), 'fr')
+    })
+
+    it('should use the default language for a wildcard Accept-Language header', () => {
+      const { instance } = createInstance()
+      assert.equal(instance.getRequestLocale(createReq({ acceptsLanguages: mock.fn(() => ['de', '*']) })), 'en')
+    })
+
+    it('should prefer the user\'s preference over the Accept-Language header', () => {
+      const { instance } = createInstance()
+      const req = createReq({ auth: { user: { lang: 'fr' } }, acceptsLanguages: mock.fn(() => ['en']) })
+      assert.equal(instance.getRequestLocale(req), 'fr')
+    })
+
+    it('should prefer the cookie over the user\'s preference', () => {
+      const { instance } = createInstance()
+      const req = createReq({ headers: { cookie: 'session=abc; lang=fr' }, auth: { user: { lang: 'en' } } })
+      assert.equal(instance.getRequestLocale(req), 'fr')
+    })
+
+    it('should prefer the lang query param over the cookie', () => {
+      const { instance } = createInstance()
+      const req = createReq({ query: { lang: 'fr-CA' }, headers: { cookie: 'lang=en' } })
+      assert.equal(instance.getRequestLocale(req), 'fr')
+    })
+
+    it('should ignore unsupported overrides', () => {
+      const { instance } = createInstance()
+      const req = createReq({ query: { lang: 'de' }, headers: { cookie: 'lang=fr' } })
+      assert.equal(instance.getRequestLocale(req), 'fr')
     })
   })
 })
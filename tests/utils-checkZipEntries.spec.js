@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import checkZipEntries from '../lib/utils/checkZipEntries.js'
+
+describe('checkZipEntries()', () => {
+  const limits = { maxSize: 1000, maxEntries: 3, maxCompressionRatio: 10, maxDepth: 2 }
+  const file = (name, uncompressedSize = 10, compressedSize = 5) => ({ name, uncompressedSize, compressedSize, isDirectory: name.endsWith('/'), isSymlink: false })
+
+  it('should pass entries within the limits', () => {
+    assert.equal(checkZipEntries([file('a/'), file('a/b.txt'), file('c.txt')], limits), undefined)
+  })
+
+  it('should fail on too many entries', () => {
+    assert.deepEqual(checkZipEntries([file('a'), file('b'), file('c'), file('d')], limits), { limit: 'maxEntries', value: 4, maxValue: 3 })
+  })
+
+  it('should fail when the total size is over the limit', () => {
+    assert.deepEqual(checkZipEntries([file('a', 600, 300), file('b', 600, 300)], limits), { limit: 'maxSize', value: 1200, maxValue: 1000 })
+  })
+
+  it('should fail when the compression ratio is over the limit', () => {
+    assert.deepEqual(checkZipEntries([file('a', 500, 10)], limits), { limit: 'maxCompressionRatio', value: 50, maxValue: 10 })
+  })
+
+  it('should skip the compression ratio for entries without a compressed size', () => {
+    assert.equal(checkZipEntries([{ name: 'a', uncompressedSize: 500 }], limits), undefined)
+  })
+
+  it('should fail on deep nesting', () => {
+    assert.deepEqual(checkZipEntries([file('a/b/c/d.txt')], limits), { limit: 'maxDepth', value: 3, maxValue: 2, entry: 'a/b/c/d.txt' })
+    assert.equal(checkZipEntries([file('a/b/c.txt')], limits), undefined)
+  })
+
+  it('should fail on absolute paths', () => {
+    assert.equal(checkZipEntries([file('/etc/passwd')], limits).limit, 'absolutePath')
+    assert.equal(checkZipEntries([file('C:\\Windows\\evil.dll')], limits).limit, 'absolutePath')
+  })
+
+  it('should fail on path traversal', () => {
+    assert.deepEqual(checkZipEntries([file('a/../../evil.sh')], limits), { limit: 'pathTraversal', entry: 'a/../../evil.sh' })
+    assert.equal(checkZipEntries([file('a\\..\\..\\evil.sh')], limits).limit, 'pathTraversal')
+  })
+
+  it('should allow names which only look like traversal', () => {
+    assert.equal(checkZipEntries([file('a/..b/c..txt')], limits), undefined)
+  })
+
+  it('should fail on symlinks', () => {
+    assert.deepEqual(checkZipEntries([{ ...file('link'), isSymlink: true }], limits), { limit: 'symlink', entry: 'link' })
+  })
+
+  it('should ignore limits which are not set', () => {
+    assert.equal(checkZipEntries([file('a/b/c/d/e.txt', 1e9, 1)]), undefined)
+  })
+})
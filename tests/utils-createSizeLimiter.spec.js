@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { Readable, Writable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import createSizeLimiter from '../lib/utils/createSizeLimiter.js'
+
+describe('createSizeLimiter()', () => {
+  const makeLimitError = size => Object.assign(new Error('too big'), { size })
+  const sink = chunks => new Writable({
+    write (chunk, encoding, callback) {
+      chunks.push(chunk)
+      callback()
+    }
+  })
+
+  it('should pass data through and count the bytes', async () => {
+    const chunks = []
+    const limiter = createSizeLimiter(10, makeLimitError)
+    await pipeline(Readable.from([Buffer.from('hello'), Buffer.from('world')]), limiter, sink(chunks))
+    assert.equal(Buffer.concat(chunks).toString(), 'helloworld')
+    assert.equal(limiter.bytes, 10)
+  })
+
+  it('should error once over the limit', async () => {
+    const chunks = []
+    const limiter = createSizeLimiter(7, makeLimitError)
+    await assert.rejects(
+      pipeline(Readable.from([Buffer.from('hello'), Buffer.from('world'), Buffer.from('!')]), limiter, sink(chunks)),
+      e => e.message === 'too big' && e.size === 10
+    )
+    assert.equal(Buffer.concat(chunks).toString(), 'hello')
+  })
+})
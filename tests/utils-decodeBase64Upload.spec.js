@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import decodeBase64Upload from '../lib/utils/decodeBase64Upload.js'
+
+describe('decodeBase64Upload()', () => {
+  const base64 = Buffer.from('hello world').toString('base64')
+
+  it('should decode plain base64', () => {
+    assert.deepEqual(decodeBase64Upload(base64), { mimetype: undefined, data: Buffer.from('hello world') })
+  })
+
+  it('should decode base64 with line breaks', () => {
+    assert.deepEqual(decodeBase64Upload(`${base64.slice(0, 4)}\n${base64.slice(4)}`).data, Buffer.from('hello world'))
+  })
+
+  it('should decode URL-safe base64', () => {
+    assert.deepEqual(decodeBase64Upload(Buffer.from([0xfb, 0xff]).toString('base64url')).data, Buffer.from([0xfb, 0xff]))
+  })
+
+  it('should decode base64 data URIs', () => {
+    assert.deepEqual(decodeBase64Upload(`data:text/plain;base64,${base64}`), { mimetype: 'text/plain', data: Buffer.from('hello world') })
+  })
+
+  it('should decode data URIs with parameters', () => {
+    assert.deepEqual(decodeBase64Upload(`data:text/plain;charset=utf-8;base64,${base64}`).mimetype, 'text/plain')
+  })
+
+  it('should decode percent-encoded data URIs', () => {
+    assert.deepEqual(decodeBase64Upload('data:text/plain,hello%20world'), { mimetype: 'text/plain', data: Buffer.from('hello world') })
+  })
+
+  it('should handle data URIs without a MIME type', () => {
+    assert.equal(decodeBase64Upload(`data:;base64,${base64}`).mimetype, undefined)
+  })
+
+  const invalid = [
+    ['non-strings', 123],
+    ['empty strings', ''],
+    ['invalid base64', 'not base64!'],
+    ['truncated base64', 'aGVsb'],
+    ['invalid percent-encoding', 'data:text/plain,%E0%A4%A']
+  ]
+  for (const [name, value] of invalid) {
+    it(`should return undefined for ${name}`, () => assert.equal(decodeBase64Upload(value), undefined))
+  }
+})
@@ -0,0 +1,38 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import detectFileType from '../lib/utils/detectFileType.js'
+
+describe('detectFileType()', () => {
+  const textFileTypes = { srt: 'application/x-subrip', csv: 'text/csv' }
+  let tmpDir
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'middleware-test-'))
+    await fs.writeFile(path.join(tmpDir, 'image'), Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'))
+    await fs.writeFile(path.join(tmpDir, 'subtitles'), '1\n00:00:00,000 --> 00:00:01,000\nHello')
+    await fs.writeFile(path.join(tmpDir, 'binary'), Buffer.from([1, 0, 2, 0, 3]))
+  })
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true })
+  })
+
+  it('should detect binary formats from their contents', async () => {
+    assert.equal(await detectFileType(path.join(tmpDir, 'image'), 'image.srt', textFileTypes), 'image/png')
+  })
+
+  it('should detect text formats by extension', async () => {
+    assert.equal(await detectFileType(path.join(tmpDir, 'subtitles'), 'subtitles.SRT', textFileTypes), 'application/x-subrip')
+  })
+
+  it('should not detect binary data as a text format', async () => {
+    assert.equal(await detectFileType(path.join(tmpDir, 'binary'), 'data.csv', textFileTypes), undefined)
+  })
+
+  it('should return undefined for unknown text formats', async () => {
+    assert.equal(await detectFileType(path.join(tmpDir, 'subtitles'), 'subtitles.txt', textFileTypes), undefined)
+  })
+})
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import exceedsDepth from '../lib/utils/exceedsDepth.js'
+
+describe('exceedsDepth()', () => {
+  it('should treat the top-level value as depth 0', () => {
+    assert.equal(exceedsDepth({ a: 1 }, 0), false)
+    assert.equal(exceedsDepth({ a: { b: 1 } }, 0), true)
+  })
+
+  it('should count nested arrays and objects', () => {
+    assert.equal(exceedsDepth({ a: [{ b: 1 }] }, 2), false)
+    assert.equal(exceedsDepth({ a: [{ b: [1] }] }, 2), true)
+  })
+
+  it('should return false for primitives', () => {
+    assert.equal(exceedsDepth('a', 0), false)
+    assert.equal(exceedsDepth(null, 0), false)
+  })
+
+  it('should handle circular references', () => {
+    const value = {}
+    value.self = value
+    assert.equal(exceedsDepth(value, 5), true)
+  })
+})
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import filterLangPhrases from '../lib/utils/filterLangPhrases.js'
+
+describe('filterLangPhrases()', () => {
+  const phrases = {
+    'app.save': 'Save',
+    'app.close': 'Close',
+    'error.DUPL_USER': 'User exists',
+    'docs.guide.title': 'Guide',
+    appx: 'No namespace'
+  }
+
+  it('should include only phrases in the specified namespaces', () => {
+    assert.deepEqual(filterLangPhrases(phrases, ['app']), { 'app.save': 'Save', 'app.close': 'Close' })
+  })
+
+  it('should include phrases from multiple namespaces', () => {
+    assert.deepEqual(Object.keys(filterLangPhrases(phrases, ['app', 'error'])), ['app.save', 'app.close', 'error.DUPL_USER'])
+  })
+
+  it('should match nested keys by their first segment', () => {
+    assert.deepEqual(filterLangPhrases(phrases, ['docs']), { 'docs.guide.title': 'Guide' })
+  })
+
+  it('should not match keys which only share a prefix with a namespace', () => {
+    assert.equal(filterLangPhrases(phrases, ['app']).appx, undefined)
+  })
+
+  it('should return an empty object for unknown namespaces', () => {
+    assert.deepEqual(filterLangPhrases(phrases, ['missing']), {})
+  })
+})
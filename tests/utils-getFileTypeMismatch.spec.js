@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import getFileTypeMismatch from '../lib/utils/getFileTypeMismatch.js'
+
+describe('getFileTypeMismatch()', () => {
+  const textFileTypes = { srt: 'application/x-subrip', svg: 'image/svg+xml' }
+  const cases = [
+    ['accept a consistent file', { filename: 'a.png', declaredType: 'image/png', actualType: 'image/png' }, undefined],
+    ['accept alternative extensions', { filename: 'a.jpeg', declaredType: 'image/jpeg', actualType: 'image/jpeg' }, undefined],
+    ['accept files with no extension', { filename: 'a', declaredType: 'image/png', actualType: 'image/png' }, undefined],
+    ['accept files with no declared type', { filename: 'a.png', actualType: 'image/png' }, undefined],
+    ['accept a generic declared type', { filename: 'a.png', declaredType: 'application/octet-stream', actualType: 'image/png' }, undefined],
+    ['accept text/plain for text formats', { filename: 'a.srt', declaredType: 'text/plain', actualType: 'application/x-subrip' }, undefined],
+    ['accept aliases of the same type', { filename: 'a.zip', declaredType: 'application/x-zip-compressed', actualType: 'application/zip' }, undefined],
+    ['accept types with the same extensions', { filename: 'a.wav', declaredType: 'audio/wave', actualType: 'audio/wav' }, undefined],
+    ['accept files whose type is unknown', { filename: 'a.png', declaredType: 'image/png' }, undefined],
+    ['reject an extension which disagrees', { filename: 'a.png', declaredType: 'image/png', actualType: 'application/zip' }, 'extension'],
+    ['reject an unknown extension', { filename: 'a.foo', declaredType: 'image/png', actualType: 'image/png' }, 'extension'],
+    ['reject a declared type which disagrees', { filename: 'a.zip', declaredType: 'image/png', actualType: 'application/zip' }, 'mimetype'],
+    ['reject text/plain for binary formats', { filename: 'a', declaredType: 'text/plain', actualType: 'image/png' }, 'mimetype']
+  ]
+  for (const [name, data, expected] of cases) {
+    it(`should ${name}`, () => assert.equal(getFileTypeMismatch({ ...data, textFileTypes }), expected))
+  }
+})
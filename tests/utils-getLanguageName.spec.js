@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import getLanguageName from '../lib/utils/getLanguageName.js'
+
+describe('getLanguageName()', () => {
+  it('should return the name of a language in that language', () => {
+    assert.equal(getLanguageName('en'), 'English')
+    assert.equal(getLanguageName('de'), 'Deutsch')
+  })
+
+  it('should capitalise the name', () => {
+    assert.equal(getLanguageName('fr'), 'Français')
+  })
+
+  it('should include the region of a regional locale', () => {
+    assert.equal(getLanguageName('en-GB'), 'British English')
+  })
+
+  it('should return the locale if it is invalid', () => {
+    assert.equal(getLanguageName('not a locale'), 'not a locale')
+  })
+})
@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import getLocaleFallbacks from '../lib/utils/getLocaleFallbacks.js'
+
+describe('getLocaleFallbacks()', () => {
+  it('should fall back from a region to its base language, then the default', () => {
+    assert.deepEqual(getLocaleFallbacks('fr-CA', 'en'), ['fr-CA', 'fr', 'en'])
+  })
+
+  it('should remove one subtag at a time', () => {
+    assert.deepEqual(getLocaleFallbacks('zh-Hant-TW', 'en'), ['zh-Hant-TW', 'zh-Hant', 'zh', 'en'])
+  })
+
+  it('should accept underscore separators', () => {
+    assert.deepEqual(getLocaleFallbacks('pt_BR', 'en'), ['pt-BR', 'pt', 'en'])
+  })
+
+  it('should not repeat the default locale', () => {
+    assert.deepEqual(getLocaleFallbacks('en-GB', 'en'), ['en-GB', 'en'])
+  })
+
+  it('should omit the default locale if not given', () => {
+    assert.deepEqual(getLocaleFallbacks('fr-CA'), ['fr-CA', 'fr'])
+  })
+})
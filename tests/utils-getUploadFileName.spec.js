@@ -0,0 +1,49 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import getUploadFileName from '../lib/utils/getUploadFileName.js'
+
+describe('getUploadFileName()', () => {
+  it('should prefer a filename given by the client', () => {
+    assert.equal(getUploadFileName({ filename: 'mine.png', contentDisposition: 'attachment; filename="photo.png"' }), 'mine.png')
+  })
+
+  it('should sanitise a filename given by the client', () => {
+    assert.equal(getUploadFileName({ filename: '../../etc/passwd' }), 'passwd')
+  })
+
+  it('should use a quoted Content-Disposition filename', () => {
+    assert.equal(getUploadFileName({ url: 'https://example.com/a.png', contentDisposition: 'attachment; filename="photo 1.png"' }), 'photo 1.png')
+  })
+
+  it('should use an unquoted Content-Disposition filename', () => {
+    assert.equal(getUploadFileName({ contentDisposition: 'attachment; filename=photo.png; size=12' }), 'photo.png')
+  })
+
+  it('should prefer an encoded Content-Disposition filename', () => {
+    const contentDisposition = 'attachment; filename="fallback.png"; filename*=UTF-8\'\'caf%C3%A9.png'
+    assert.equal(getUploadFileName({ contentDisposition }), 'café.png')
+  })
+
+  it('should fall back to the URL path', () => {
+    assert.equal(getUploadFileName({ url: 'https://example.com/images/my%20pic.jpg?size=large' }), 'my pic.jpg')
+  })
+
+  it('should strip directory traversal', () => {
+    assert.equal(getUploadFileName({ contentDisposition: 'attachment; filename="../../etc/passwd"' }), 'passwd')
+    assert.equal(getUploadFileName({ contentDisposition: 'attachment; filename="..\\\\..\\\\evil.exe"' }), 'evil.exe')
+  })
+
+  it('should strip control characters', () => {
+    assert.equal(getUploadFileName({ contentDisposition: 'attachment; filename="a\u0000b.png"' }), 'ab.png')
+  })
+
+  it('should fall back to a timestamp and MIME subtype', () => {
+    mock.method(Date, 'now', () => 1234)
+    try {
+      assert.equal(getUploadFileName({ url: 'https://example.com/', mimetype: 'image/svg+xml' }), '1234.svg')
+      assert.equal(getUploadFileName({ url: 'https://example.com/..' }), '1234')
+    } finally {
+      mock.restoreAll()
+    }
+  })
+})
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import getUrlBlockReason from '../lib/utils/getUrlBlockReason.js'
+
+describe('getUrlBlockReason()', () => {
+  it('should allow public http and https URLs', () => {
+    assert.equal(getUrlBlockReason('http://example.com/a.png'), undefined)
+    assert.equal(getUrlBlockReason('https://93.184.216.34/a.png'), undefined)
+  })
+
+  it('should block invalid URLs', () => {
+    assert.equal(getUrlBlockReason('not a url'), 'invalid URL')
+  })
+
+  it('should block other protocols', () => {
+    assert.match(getUrlBlockReason('file:///etc/passwd'), /protocol file:/)
+    assert.match(getUrlBlockReason('ftp://example.com/a.png'), /protocol ftp:/)
+  })
+
+  it('should block private IP address hosts', () => {
+    assert.match(getUrlBlockReason('http://127.0.0.1/'), /address 127\.0\.0\.1/)
+    assert.match(getUrlBlockReason('http://169.254.169.254/latest/meta-data'), /address/)
+    assert.match(getUrlBlockReason('http://[::1]:8080/'), /address ::1/)
+  })
+
+  it('should block obfuscated IPv4 hosts', () => {
+    assert.match(getUrlBlockReason('http://2130706433/'), /address 127\.0\.0\.1/)
+    assert.match(getUrlBlockReason('http://0x7f.1/'), /address 127\.0\.0\.1/)
+  })
+
+  it('should block hosts on the block list', () => {
+    assert.match(getUrlBlockReason('http://evil.example.com/', { blockedHosts: ['*.example.com'] }), /host evil\.example\.com/)
+  })
+
+  it('should block hosts missing from a non-empty allow list', () => {
+    assert.match(getUrlBlockReason('http://example.net/', { allowedHosts: ['example.com'] }), /host example\.net/)
+    assert.equal(getUrlBlockReason('http://example.com/', { allowedHosts: ['example.com'] }), undefined)
+  })
+
+  it('should prefer the block list over the allow list', () => {
+    const hosts = { allowedHosts: ['*.example.com'], blockedHosts: ['internal.example.com'] }
+    assert.match(getUrlBlockReason('http://internal.example.com/', hosts), /host/)
+  })
+})
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import isPrivateAddress from '../lib/utils/isPrivateAddress.js'
+
+describe('isPrivateAddress()', () => {
+  const blocked = [
+    '0.0.0.0',
+    '10.1.2.3',
+    '100.64.0.1',
+    '127.0.0.1',
+    '169.254.169.254',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.1.1',
+    '224.0.0.1',
+    '255.255.255.255',
+    '::',
+    '::1',
+    '[::1]',
+    '::ffff:127.0.0.1',
+    '::ffff:7f00:1',
+    '::127.0.0.1',
+    '::a9fe:a9fe',
+    '::10.0.0.1',
+    '2002:7f00:1::',
+    '2002:c0a8:101::1',
+    '[2002:a00:1::]',
+    'fc00::1',
+    'fd12:3456::1',
+    'fe80::1',
+    'ff02::1'
+  ]
+  const allowed = [
+    '8.8.8.8',
+    '172.32.0.1',
+    '93.184.216.34',
+    '2606:4700:4700::1111',
+    '2002:808:808::1',
+    '[2a00:1450:4009:81f::200e]'
+  ]
+  for (const address of blocked) {
+    it(`should return true for ${address}`, () => assert.equal(isPrivateAddress(address), true))
+  }
+  for (const address of allowed) {
+    it(`should return false for ${address}`, () => assert.equal(isPrivateAddress(address), false))
+  }
+  it('should return true for values which are not IP addresses', () => {
+    assert.equal(isPrivateAddress('example.com'), true)
+    assert.equal(isPrivateAddress(undefined), true)
+  })
+})
@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import matchFileType from '../lib/utils/matchFileType.js'
+
+describe('matchFileType()', () => {
+  const png = { mimetype: 'image/png', originalFilename: 'photo.png' }
+  const cases = [
+    ['match an exact MIME type', png, ['image/png'], true],
+    ['not match a different MIME type', png, ['image/jpeg'], false],
+    ['match MIME types case-insensitively', png, ['Image/PNG'], true],
+    ['match a wildcard subtype', png, ['image/*'], true],
+    ['not match a wildcard for another category', png, ['video/*'], false],
+    ['match any type', png, ['*/*'], true],
+    ['match an extension', png, ['.png'], true],
+    ['match an extension case-insensitively', { mimetype: 'image/png', originalFilename: 'PHOTO.PNG' }, ['.png'], true],
+    ['match an extension registered for the MIME type', { mimetype: 'image/jpeg', originalFilename: 'photo' }, ['.jpg'], true],
+    ['not match a different extension', png, ['.gif'], false],
+    ['match an extension for files with no MIME type', { originalFilename: 'subtitles.srt' }, ['.srt'], true],
+    ['not match a wildcard for files with no MIME type', { originalFilename: 'file' }, ['*/*'], false],
+    ['match if any entry matches', png, ['video/*', '.png'], true]
+  ]
+  for (const [name, file, expectedFileTypes, expected] of cases) {
+    it(`should ${name}`, () => assert.equal(matchFileType(file, expectedFileTypes), expected))
+  }
+  it('should return false with no expected types', () => {
+    assert.equal(matchFileType(png), false)
+  })
+})
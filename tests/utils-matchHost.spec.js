@@ -0,0 +1,24 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import matchHost from '../lib/utils/matchHost.js'
+
+describe('matchHost()', () => {
+  const patterns = ['example.com', '*.cdn.example.org']
+  const cases = [
+    ['match an exact hostname', 'example.com', true],
+    ['match case-insensitively', 'EXAMPLE.com', true],
+    ['ignore a trailing dot', 'example.com.', true],
+    ['not match a subdomain of an exact pattern', 'www.example.com', false],
+    ['match a subdomain of a wildcard pattern', 'img.cdn.example.org', true],
+    ['match a nested subdomain of a wildcard pattern', 'a.b.cdn.example.org', true],
+    ['not match the apex of a wildcard pattern', 'cdn.example.org', false],
+    ['not match a lookalike hostname', 'evilcdn.example.org', false],
+    ['not match a missing hostname', undefined, false]
+  ]
+  for (const [name, hostname, expected] of cases) {
+    it(`should ${name}`, () => assert.equal(matchHost(hostname, patterns), expected))
+  }
+  it('should return false with no patterns', () => {
+    assert.equal(matchHost('example.com'), false)
+  })
+})
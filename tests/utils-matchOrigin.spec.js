@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import matchOrigin from '../lib/utils/matchOrigin.js'
+
+describe('matchOrigin()', () => {
+  const patterns = ['https://app.example.com', 'https://*.lms.example.org', 'http://localhost:8080']
+  const cases = [
+    ['match an exact origin', 'https://app.example.com', true],
+    ['match case-insensitively', 'https://APP.example.com', true],
+    ['not match a different scheme', 'http://app.example.com', false],
+    ['not match a different port', 'https://app.example.com:8443', false],
+    ['match a subdomain of a wildcard pattern', 'https://moodle.lms.example.org', true],
+    ['not match the apex of a wildcard pattern', 'https://lms.example.org', false],
+    ['match an origin with a port', 'http://localhost:8080', true],
+    ['not match a missing port', 'http://localhost', false],
+    ['not match a lookalike origin', 'https://app.example.com.evil.com', false],
+    ['not match an opaque origin', 'null', false],
+    ['not match a missing origin', undefined, false]
+  ]
+  for (const [name, origin, expected] of cases) {
+    it(`should ${name}`, () => assert.equal(matchOrigin(origin, patterns), expected))
+  }
+  it('should match any origin with *', () => {
+    assert.equal(matchOrigin('https://anything.example.net', ['*']), true)
+    assert.equal(matchOrigin('null', ['*']), true)
+  })
+  it('should return false with no patterns', () => {
+    assert.equal(matchOrigin('https://app.example.com'), false)
+  })
+})
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import matchRoute from '../lib/utils/matchRoute.js'
+
+describe('matchRoute()', () => {
+  const cases = [
+    ['matches an identical path', '/config', '/config', true],
+    ['ignores a trailing slash on the path', '/config', '/config/', true],
+    ['ignores a trailing slash on the pattern', '/config/', '/config', true],
+    ['ignores case', '/auth/local', '/Auth/LOCAL', true],
+    ['does not match a different path', '/config', '/lang', false],
+    ['does not match a partial path', '/lang', '/lang/en', false],
+    ['matches a named param', '/lang/:lang', '/lang/en', true],
+    ['does not match a param across segments', '/assets/:_id', '/assets/1/2', false],
+    ['matches a trailing wildcard', '/adapt/*', '/adapt/import/123', true],
+    ['matches an inline wildcard', '/adapt*', '/adaptimport', true],
+    ['escapes regex characters', '/a.b', '/axb', false],
+    ['returns false for a missing pattern', undefined, '/config', false],
+    ['returns false for a missing path', '/config', undefined, false]
+  ]
+  for (const [name, pattern, routePath, expected] of cases) {
+    it(`should ${name}`, () => {
+      assert.equal(matchRoute(pattern, routePath), expected)
+    })
+  }
+})
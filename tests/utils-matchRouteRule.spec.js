@@ -0,0 +1,24 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import matchRouteRule from '../lib/utils/matchRouteRule.js'
+
+describe('matchRouteRule()', () => {
+  it('should match the rule route', () => {
+    assert.equal(matchRouteRule({ route: '/assets/:_id' }, 'GET', '/assets/123'), true)
+    assert.equal(matchRouteRule({ route: '/assets/:_id' }, 'GET', '/content/123'), false)
+  })
+
+  it('should match any method if the rule has no methods', () => {
+    assert.equal(matchRouteRule({ route: '/a' }, 'DELETE', '/a'), true)
+  })
+
+  it('should match methods regardless of case', () => {
+    assert.equal(matchRouteRule({ route: '/a', methods: ['post'] }, 'POST', '/a'), true)
+    assert.equal(matchRouteRule({ route: '/a', methods: ['POST'] }, 'get', '/a'), false)
+  })
+
+  it('should not match rules without a route', () => {
+    assert.equal(matchRouteRule({}, 'GET', '/a'), false)
+    assert.equal(matchRouteRule(undefined, 'GET', '/a'), false)
+  })
+})
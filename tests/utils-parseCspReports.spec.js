@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import parseCspReports from '../lib/utils/parseCspReports.js'
+
+describe('parseCspReports()', () => {
+  it('should parse a report-uri report', () => {
+    const body = {
+      'csp-report': {
+        'document-uri': 'https://example.com/',
+        'violated-directive': "script-src-elem 'self'",
+        'effective-directive': 'script-src-elem',
+        'blocked-uri': 'https://cdn.example.org/lib.js',
+        'source-file': 'https://example.com/',
+        'line-number': 12,
+        disposition: 'report'
+      }
+    }
+    assert.deepEqual(parseCspReports(body), [{
+      directive: 'script-src-elem',
+      blockedUri: 'https://cdn.example.org/lib.js',
+      documentUri: 'https://example.com/',
+      sourceFile: 'https://example.com/',
+      lineNumber: 12,
+      disposition: 'report'
+    }])
+  })
+
+  it('should use the violated directive if there is no effective directive', () => {
+    const [report] = parseCspReports({ 'csp-report': { 'violated-directive': "img-src 'self' data:" } })
+    assert.equal(report.directive, 'img-src')
+  })
+
+  it('should parse Reporting API csp-violation reports', () => {
+    const body = [
+      {
+        type: 'csp-violation',
+        body: {
+          documentURL: 'https://example.com/',
+          effectiveDirective: 'style-src-elem',
+          blockedURL: 'inline',
+          sourceFile: 'https://example.com/',
+          lineNumber: 3,
+          disposition: 'enforce'
+        }
+      },
+      { type: 'deprecation', body: { id: 'x' } }
+    ]
+    assert.deepEqual(parseCspReports(body), [{
+      directive: 'style-src-elem',
+      blockedUri: 'inline',
+      documentUri: 'https://example.com/',
+      sourceFile: 'https://example.com/',
+      lineNumber: 3,
+      disposition: 'enforce'
+    }])
+  })
+
+  it('should return an empty array for anything else', () => {
+    assert.deepEqual(parseCspReports({}), [])
+    assert.deepEqual(parseCspReports(undefined), [])
+    assert.deepEqual(parseCspReports('report'), [])
+  })
+})
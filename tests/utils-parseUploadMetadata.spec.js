@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import parseUploadMetadata from '../lib/utils/parseUploadMetadata.js'
+
+describe('parseUploadMetadata()', () => {
+  const encode = s => Buffer.from(s).toString('base64')
+
+  it('should decode base64 values', () => {
+    assert.deepEqual(parseUploadMetadata(`filename ${encode('course.zip')},filetype ${encode('application/zip')}`), {
+      filename: 'course.zip',
+      filetype: 'application/zip'
+    })
+  })
+
+  it('should decode non-ASCII values', () => {
+    assert.deepEqual(parseUploadMetadata(`filename ${encode('résumé.pdf')}`), { filename: 'résumé.pdf' })
+  })
+
+  it('should allow keys without values', () => {
+    assert.deepEqual(parseUploadMetadata('is_confidential, filename ' + encode('a.txt')), { is_confidential: '', filename: 'a.txt' })
+  })
+
+  it('should return an empty object for a missing header', () => {
+    assert.deepEqual(parseUploadMetadata(), {})
+    assert.deepEqual(parseUploadMetadata(''), {})
+  })
+})
@@ -0,0 +1,76 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import readFileMetadata from '../lib/utils/readFileMetadata.js'
+
+/** Creates a PNG header with the given dimensions */
+function png (width, height) {
+  const ihdr = Buffer.alloc(8)
+  ihdr.writeUInt32BE(width, 0)
+  ihdr.writeUInt32BE(height, 4)
+  return Buffer.concat([Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'), ihdr, Buffer.from('0806000000', 'hex')])
+}
+
+/** Creates a silent 16-bit mono WAV file */
+function wav (seconds, sampleRate = 8000) {
+  const dataSize = seconds * sampleRate * 2
+  const header = Buffer.alloc(44)
+  header.write('RIFF', 0)
+  header.writeUInt32LE(36 + dataSize, 4)
+  header.write('WAVEfmt ', 8)
+  header.writeUInt32LE(16, 16)
+  header.writeUInt16LE(1, 20)
+  header.writeUInt16LE(1, 22)
+  header.writeUInt32LE(sampleRate, 24)
+  header.writeUInt32LE(sampleRate * 2, 28)
+  header.writeUInt16LE(2, 32)
+  header.writeUInt16LE(16, 34)
+  header.write('data', 36)
+  header.writeUInt32LE(dataSize, 40)
+  return Buffer.concat([header, Buffer.alloc(dataSize)])
+}
+
+describe('readFileMetadata()', () => {
+  let tmpDir
+  const file = name => path.join(tmpDir, name)
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'middleware-test-'))
+    await fs.writeFile(file('image.png'), png(640, 480))
+    await fs.writeFile(file('audio.wav'), wav(2))
+    await fs.writeFile(file('doc.pdf'), '%PDF-1.4\n1 0 obj << /Type /Pages /Kids [2 0 R 3 0 R] /Count 2 >> endobj\n2 0 obj << /Type /Page >> endobj\n3 0 obj << /Type/Page >> endobj\n')
+    await fs.writeFile(file('compressed.pdf'), '%PDF-1.5\n1 0 obj << /Type /ObjStm /Filter /FlateDecode >> endobj\n')
+    await fs.writeFile(file('broken.png'), 'not an image')
+  })
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true })
+  })
+
+  it('should read image dimensions', async () => {
+    assert.deepEqual(await readFileMetadata(file('image.png'), 'image/png'), { width: 640, height: 480 })
+  })
+
+  it('should read audio duration', async () => {
+    assert.deepEqual(await readFileMetadata(file('audio.wav'), 'audio/wav'), { duration: 2 })
+  })
+
+  it('should count PDF pages', async () => {
+    assert.deepEqual(await readFileMetadata(file('doc.pdf'), 'application/pdf'), { pageCount: 2 })
+  })
+
+  it('should omit page counts which can\'t be read', async () => {
+    assert.deepEqual(await readFileMetadata(file('compressed.pdf'), 'application/pdf'), {})
+  })
+
+  it('should return no metadata for unreadable files', async () => {
+    assert.deepEqual(await readFileMetadata(file('broken.png'), 'image/png'), {})
+  })
+
+  it('should return no metadata for other types', async () => {
+    assert.deepEqual(await readFileMetadata(file('doc.pdf'), 'text/plain'), {})
+    assert.deepEqual(await readFileMetadata(file('doc.pdf')), {})
+  })
+})
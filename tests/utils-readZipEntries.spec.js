@@ -0,0 +1,103 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import readZipEntries from '../lib/utils/readZipEntries.js'
+
+/**
+ * Builds an uncompressed zip. Entries may declare a different uncompressed size to their data, and a unix file mode
+ */
+function createZip (entries, comment = '') {
+  const locals = []
+  const centrals = []
+  let offset = 0
+  for (const { name, data = '', mode, uncompressedSize } of entries) {
+    const nameBuf = Buffer.from(name)
+    const dataBuf = Buffer.from(data)
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4)
+    local.writeUInt32LE(dataBuf.length, 18)
+    local.writeUInt32LE(uncompressedSize ?? dataBuf.length, 22)
+    local.writeUInt16LE(nameBuf.length, 26)
+    locals.push(local, nameBuf, dataBuf)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(mode ? (3 << 8) | 20 : 20, 4)
+    central.writeUInt16LE(20, 6)
+    central.writeUInt32LE(dataBuf.length, 20)
+    central.writeUInt32LE(uncompressedSize ?? dataBuf.length, 24)
+    central.writeUInt16LE(nameBuf.length, 28)
+    central.writeUInt32LE(((mode ?? 0) << 16) >>> 0, 38)
+    central.writeUInt32LE(offset, 42)
+    centrals.push(central, nameBuf)
+    offset += local.length + nameBuf.length + dataBuf.length
+  }
+  const cd = Buffer.concat(centrals)
+  const eocd = Buffer.alloc(22)
+  eocd.writeUInt32LE(0x06054b50, 0)
+  eocd.writeUInt16LE(entries.length, 8)
+  eocd.writeUInt16LE(entries.length, 10)
+  eocd.writeUInt32LE(cd.length, 12)
+  eocd.writeUInt32LE(offset, 16)
+  eocd.writeUInt16LE(Buffer.byteLength(comment), 20)
+  return Buffer.concat([...locals, cd, eocd, Buffer.from(comment)])
+}
+
+describe('readZipEntries()', () => {
+  let tmpDir
+  const writeZip = async (name, buffer) => {
+    const filepath = path.join(tmpDir, name)
+    await fs.writeFile(filepath, buffer)
+    return filepath
+  }
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'middleware-zip-'))
+  })
+
+  after(() => fs.rm(tmpDir, { recursive: true }))
+
+  it('should list entries with their sizes', async () => {
+    const filepath = await writeZip('simple.zip', createZip([
+      { name: 'course/', mode: 0o040755 },
+      { name: 'course/index.html', data: '<html></html>' }
+    ]))
+    assert.deepEqual(await readZipEntries(filepath), [
+      { name: 'course/', compressedSize: 0, uncompressedSize: 0, isDirectory: true, isSymlink: false },
+      { name: 'course/index.html', compressedSize: 13, uncompressedSize: 13, isDirectory: false, isSymlink: false }
+    ])
+  })
+
+  it('should report declared uncompressed sizes', async () => {
+    const filepath = await writeZip('bomb.zip', createZip([{ name: 'big.bin', data: 'x', uncompressedSize: 4000000000 }]))
+    const [entry] = await readZipEntries(filepath)
+    assert.equal(entry.compressedSize, 1)
+    assert.equal(entry.uncompressedSize, 4000000000)
+  })
+
+  it('should detect symlinks', async () => {
+    const filepath = await writeZip('link.zip', createZip([{ name: 'link', data: '/etc/passwd', mode: 0o120777 }]))
+    const [entry] = await readZipEntries(filepath)
+    assert.equal(entry.isSymlink, true)
+  })
+
+  it('should read zips with a trailing comment', async () => {
+    const filepath = await writeZip('comment.zip', createZip([{ name: 'a.txt', data: 'a' }], 'a zip comment'))
+    assert.equal((await readZipEntries(filepath))[0].name, 'a.txt')
+  })
+
+  it('should reject files which are not zips', async () => {
+    const filepath = await writeZip('notazip.zip', Buffer.from('hello world'))
+    await assert.rejects(readZipEntries(filepath), /not a zip file/)
+  })
+
+  it('should reject a corrupt central directory', async () => {
+    const zip = createZip([{ name: 'a.txt', data: 'a' }])
+    zip.writeUInt32LE(0, 30 + 5 + 1) // overwrite the central header signature
+    const filepath = await writeZip('corrupt.zip', zip)
+    await assert.rejects(readZipEntries(filepath), /invalid zip central directory/)
+  })
+})
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import redactFields from '../lib/utils/redactFields.js'
+
+describe('redactFields()', () => {
+  it('should redact matching fields', () => {
+    assert.deepEqual(redactFields({ token: 'abc', page: '2' }, ['token']), { token: '[REDACTED]', page: '2' })
+  })
+
+  it('should match field names case-insensitively', () => {
+    assert.deepEqual(redactFields({ apiKey: 'abc' }, ['APIKEY']), { apiKey: '[REDACTED]' })
+  })
+
+  it('should redact nested fields', () => {
+    const value = { filter: { password: 'x', name: 'y' }, list: [{ secret: 'z' }] }
+    assert.deepEqual(redactFields(value, ['password', 'secret']), { filter: { password: '[REDACTED]', name: 'y' }, list: [{ secret: '[REDACTED]' }] })
+  })
+
+  it('should not modify the original value', () => {
+    const value = { token: 'abc' }
+    redactFields(value, ['token'])
+    assert.equal(value.token, 'abc')
+  })
+
+  it('should return non-objects unchanged', () => {
+    assert.equal(redactFields('token', ['token']), 'token')
+    assert.equal(redactFields(undefined, ['token']), undefined)
+  })
+})
@@ -0,0 +1,41 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import removeExpiredFiles from '../lib/utils/removeExpiredFiles.js'
+
+describe('removeExpiredFiles()', () => {
+  const hourAgo = new Date(Date.now() - 3600000)
+  let tmpDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'middleware-sweep-'))
+    await fs.writeFile(path.join(tmpDir, 'new.png'), 'abc')
+    await fs.writeFile(path.join(tmpDir, 'old.png'), 'abcde')
+    await fs.mkdir(path.join(tmpDir, 'old.zip_unzip', 'nested'), { recursive: true })
+    await fs.writeFile(path.join(tmpDir, 'old.zip_unzip', 'nested', 'a.txt'), '1234567')
+    await fs.utimes(path.join(tmpDir, 'old.png'), hourAgo, hourAgo)
+    await fs.utimes(path.join(tmpDir, 'old.zip_unzip'), hourAgo, hourAgo)
+  })
+
+  afterEach(() => fs.rm(tmpDir, { recursive: true }))
+
+  it('should remove expired files and folders', async () => {
+    await removeExpiredFiles(tmpDir, 60000)
+    assert.deepEqual(await fs.readdir(tmpDir), ['new.png'])
+  })
+
+  it('should report the number of items and bytes removed', async () => {
+    assert.deepEqual(await removeExpiredFiles(tmpDir, 60000), { count: 2, size: 12 })
+  })
+
+  it('should keep everything younger than the maximum age', async () => {
+    assert.deepEqual(await removeExpiredFiles(tmpDir, 7200000), { count: 0, size: 0 })
+    assert.equal((await fs.readdir(tmpDir)).length, 3)
+  })
+
+  it('should handle a missing directory', async () => {
+    assert.deepEqual(await removeExpiredFiles(path.join(tmpDir, 'missing'), 0), { count: 0, size: 0 })
+  })
+})
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import resolveContentTypes from '../lib/utils/resolveContentTypes.js'
+
+describe('resolveContentTypes()', () => {
+  const defaults = { accepts: ['application/json'], produces: ['application/json'] }
+  const rules = [
+    { route: '/assets*', methods: ['post', 'put'], accepts: ['multipart/form-data'] },
+    { route: '/assets/serve/:_id', produces: ['image/*', 'video/*'] },
+    { route: '/assets/*', accepts: ['application/octet-stream', 'multipart/form-data'] }
+  ]
+
+  it('should return the defaults when no rules match', () => {
+    assert.deepEqual(resolveContentTypes(rules, 'GET', '/config', defaults), defaults)
+  })
+
+  it('should add the types of a matching rule', () => {
+    const { accepts } = resolveContentTypes(rules, 'POST', '/assets', defaults)
+    assert.deepEqual(accepts, ['application/json', 'multipart/form-data'])
+  })
+
+  it('should ignore rules for other methods', () => {
+    const { accepts } = resolveContentTypes(rules, 'GET', '/assets', defaults)
+    assert.deepEqual(accepts, ['application/json'])
+  })
+
+  it('should combine the types of all matching rules without duplicates', () => {
+    const { accepts } = resolveContentTypes(rules, 'PUT', '/assets/123', defaults)
+    assert.deepEqual(accepts, ['application/json', 'multipart/form-data', 'application/octet-stream'])
+  })
+
+  it('should add produced types', () => {
+    const { produces } = resolveContentTypes(rules, 'GET', '/assets/serve/123', defaults)
+    assert.deepEqual(produces, ['application/json', 'image/*', 'video/*'])
+  })
+
+  it('should handle missing arguments', () => {
+    assert.deepEqual(resolveContentTypes(), { accepts: [], produces: [] })
+  })
+})
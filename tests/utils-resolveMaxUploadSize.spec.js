@@ -0,0 +1,18 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import bytes from 'bytes'
+import resolveMaxUploadSize from '../lib/utils/resolveMaxUploadSize.js'
+
+describe('resolveMaxUploadSize()', () => {
+  const cases = [
+    ['uses maxFileSize without overrides', { maxFileSize: bytes('50mb') }, bytes('50mb')],
+    ['uses the largest override', { maxFileSize: bytes('50mb'), maxFileSizeByType: { image: '10mb', video: '250mb' } }, bytes('250mb')],
+    ['keeps maxFileSize when larger than every override', { maxFileSize: bytes('50mb'), maxFileSizeByType: { image: '10mb' } }, bytes('50mb')],
+    ['accepts string and number values', { maxFileSize: '1mb', maxFileSizeByType: { font: bytes('2mb') } }, bytes('2mb')]
+  ]
+  for (const [name, options, expected] of cases) {
+    it(`should ${name}`, () => {
+      assert.equal(resolveMaxUploadSize(options), expected)
+    })
+  }
+})
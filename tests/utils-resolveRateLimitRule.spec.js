@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import resolveRateLimitRule from '../lib/utils/resolveRateLimitRule.js'
+
+describe('resolveRateLimitRule()', () => {
+  const rules = [
+    { route: '/adapt/import', methods: ['POST'], cost: 50 },
+    { route: '/assets/*', cost: { post: 5, '*': 2 } },
+    { route: '/auth/local', points: 10, duration: 60000 }
+  ]
+
+  it('should cost 1 point when no rule matches', () => {
+    const { rule, cost } = resolveRateLimitRule(rules, 'GET', '/content')
+    assert.equal(rule, undefined)
+    assert.equal(cost, 1)
+  })
+
+  it('should use a numeric cost from the matching rule', () => {
+    const { rule, cost } = resolveRateLimitRule(rules, 'POST', '/adapt/import')
+    assert.equal(rule, rules[0])
+    assert.equal(cost, 50)
+  })
+
+  it('should ignore rules for other methods', () => {
+    const { rule } = resolveRateLimitRule(rules, 'GET', '/adapt/import')
+    assert.equal(rule, undefined)
+  })
+
+  it('should use a per-method cost', () => {
+    assert.equal(resolveRateLimitRule(rules, 'POST', '/assets/123').cost, 5)
+  })
+
+  it('should use the wildcard cost for unlisted methods', () => {
+    assert.equal(resolveRateLimitRule(rules, 'DELETE', '/assets/123').cost, 2)
+  })
+
+  it('should default the cost to 1 for rules without one', () => {
+    const { rule, cost } = resolveRateLimitRule(rules, 'POST', '/auth/local')
+    assert.equal(rule, rules[2])
+    assert.equal(cost, 1)
+  })
+
+  it('should handle missing rules', () => {
+    assert.deepEqual(resolveRateLimitRule(undefined, 'GET', '/'), { rule: undefined, cost: 1 })
+  })
+})
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import resolveRateLimitTier from '../lib/utils/resolveRateLimitTier.js'
+
+describe('resolveRateLimitTier()', () => {
+  const tiers = {
+    anonymous: { points: 100 },
+    authenticated: { points: 250 },
+    admin: { points: 1000, scopes: ['write:users', 'read:users'] }
+  }
+
+  it('should return anonymous when there is no auth data', () => {
+    assert.equal(resolveRateLimitTier(undefined, tiers), 'anonymous')
+  })
+
+  it('should return anonymous when there is no user', () => {
+    assert.equal(resolveRateLimitTier({ scopes: [] }, tiers), 'anonymous')
+  })
+
+  it('should return authenticated for a user without tier scopes', () => {
+    assert.equal(resolveRateLimitTier({ user: { _id: '1' }, scopes: ['read:users'] }, tiers), 'authenticated')
+  })
+
+  it('should return a tier when the user holds all of its scopes', () => {
+    assert.equal(resolveRateLimitTier({ user: { _id: '1' }, scopes: ['read:users', 'write:users'] }, tiers), 'admin')
+  })
+
+  it('should treat super users as holding every scope', () => {
+    assert.equal(resolveRateLimitTier({ user: { _id: '1' }, isSuper: true }, tiers), 'admin')
+  })
+
+  it('should return authenticated when no tiers are configured', () => {
+    assert.equal(resolveRateLimitTier({ user: { _id: '1' } }), 'authenticated')
+  })
+})
@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import resolveRouteOptions from '../lib/utils/resolveRouteOptions.js'
+
+describe('resolveRouteOptions()', () => {
+  const defaults = { origins: ['https://app.example.com'], allowedMethods: ['GET', 'POST'], credentials: false, maxAge: 600000 }
+  const rules = [
+    { route: '/lti/*', methods: ['post'], origins: ['*'], credentials: true },
+    { route: '/lti/*', origins: [] },
+    { route: '/lang/:lang', origins: ['*'] }
+  ]
+
+  it('should return the defaults if no rule matches', () => {
+    assert.deepEqual(resolveRouteOptions(rules, 'GET', '/assets', defaults), defaults)
+  })
+
+  it('should apply the first matching rule over the defaults', () => {
+    assert.deepEqual(resolveRouteOptions(rules, 'POST', '/lti/launch', defaults), { ...defaults, origins: ['*'], credentials: true })
+  })
+
+  it('should only match rules for the request method', () => {
+    assert.deepEqual(resolveRouteOptions(rules, 'GET', '/lti/launch', defaults).origins, [])
+  })
+
+  it('should match route params', () => {
+    assert.deepEqual(resolveRouteOptions(rules, 'GET', '/lang/en', defaults).origins, ['*'])
+  })
+
+  it('should only let rules set the given options', () => {
+    const options = resolveRouteOptions([{ route: '/a', allowedMethods: ['DELETE'], maxAge: 0 }], 'GET', '/a', defaults, ['maxAge'])
+    assert.deepEqual(options, { ...defaults, maxAge: 0 })
+  })
+
+  it('should ignore rule properties which have no default', () => {
+    assert.deepEqual(resolveRouteOptions([{ route: '/a', type: 'text/plain' }], 'GET', '/a', defaults), defaults)
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import sortMiddleware from '../lib/utils/sortMiddleware.js'
+
+describe('sortMiddleware()', () => {
+  const names = ({ sorted }) => sorted.map(e => e.name)
+
+  it('should keep registration order without constraints', () => {
+    assert.deepEqual(names(sortMiddleware([{ name: 'a' }, { name: 'b' }, { name: 'c' }])), ['a', 'b', 'c'])
+  })
+
+  it('should place entries after the entries in their after list', () => {
+    const entries = [{ name: 'a' }, { name: 'x', after: ['b'] }, { name: 'b' }, { name: 'c' }]
+    assert.deepEqual(names(sortMiddleware(entries)), ['a', 'b', 'x', 'c'])
+  })
+
+  it('should place entries before the entries in their before list', () => {
+    const entries = [{ name: 'a' }, { name: 'b' }, { name: 'x', before: ['b'] }]
+    assert.deepEqual(names(sortMiddleware(entries)), ['a', 'x', 'b'])
+  })
+
+  it('should apply before and after together', () => {
+    const entries = [{ name: 'a' }, { name: 'b', after: ['a'] }, { name: 'c', after: ['b'] }, { name: 'x', after: ['a'], before: ['b'] }]
+    assert.deepEqual(names(sortMiddleware(entries)), ['a', 'x', 'b', 'c'])
+  })
+
+  it('should keep other entries in place when an entry is moved earlier', () => {
+    const entries = [{ name: 'a' }, { name: 'b' }, { name: 'c' }, { name: 'd' }, { name: 'x', after: ['a'], before: ['b'] }]
+    assert.deepEqual(names(sortMiddleware(entries)), ['a', 'x', 'b', 'c', 'd'])
+  })
+
+  it('should report entries which depend on a cycle', () => {
+    const entries = [{ name: 'a', after: ['b'] }, { name: 'b', after: ['c'] }, { name: 'c', after: ['b'] }]
+    assert.deepEqual(sortMiddleware(entries).unresolved.sort(), ['a', 'b', 'c'])
+  })
+
+  it('should ignore constraints naming unknown entries', () => {
+    const entries = [{ name: 'a', after: ['missing'] }, { name: 'b', before: ['missing'] }]
+    assert.deepEqual(sortMiddleware(entries), { sorted: entries, unresolved: [] })
+  })
+
+  it('should report entries whose constraints form a cycle', () => {
+    const entries = [{ name: 'a' }, { name: 'b', after: ['c'] }, { name: 'c', after: ['b'] }]
+    const { sorted, unresolved } = sortMiddleware(entries)
+    assert.deepEqual(sorted.map(e => e.name), ['a'])
+    assert.deepEqual(unresolved, ['b', 'c'])
+  })
+})
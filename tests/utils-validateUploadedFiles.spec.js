@@ -23,6 +23,22 @@ mock.getter(App, 'instance', () => ({
         return e
       }
     },
+    FILE_TYPE_MISMATCH: {
+      setData (data) {
+        const e = new Error('FILE_TYPE_MISMATCH')
+        e.code = 'FILE_TYPE_MISMATCH'
+        e.data = data
+        return e
+      }
+    },
+    FILE_VALIDATOR_FAILED: {
+      setData (data) {
+        const e = new Error('FILE_VALIDATOR_FAILED')
+        e.code = 'FILE_VALIDATOR_FAILED'
+        e.data = data
+        return e
+      }
+    },
     VALIDATION_FAILED: {
       setData (data) {
         const e = new Error('VALIDATION_FAILED')
@@ -36,6 +52,8 @@ mock.getter(App, 'instance', () => ({
 
 const { validateUploadedFiles } = await import('../lib/utils/validateUploadedFiles.js')
 
+const VIRUS_SIGNATURE = 'FAKE-VIRUS-SIGNATURE'
+
 describe('validateUploadedFiles()', () => {
   const makeReq = () => ({ translate: (e) => e.message || String(e) })
   let tmpDir
@@ -45,6 +63,7 @@ describe('validateUploadedFiles()', () => {
     // Create test files
     await fs.writeFile(path.join(tmpDir, 'test.txt'), 'hello world')
     await fs.writeFile(path.join(tmpDir, 'subtitle.srt'), '1\n00:00:00,000 --> 00:00:01,000\nHello')
+    await fs.writeFile(path.join(tmpDir, 'infected.txt'), VIRUS_SIGNATURE)
   })
 
   after(async () => {
@@ -89,13 +108,66 @@ describe('validateUploadedFiles()', () => {
     )
   })
 
-  it('should treat .srt files as application/x-subrip when file inspection returns null', async () => {
+  it('should detect text file types by extension when file inspection returns null', async () => {
+    const req = makeReq()
+    const file = { mimetype: 'text/plain', originalFilename: 'subtitle.srt', size: 100, filepath: path.join(tmpDir, 'subtitle.srt') }
+    const options = { expectedFileTypes: ['application/x-subrip'], maxFileSize: 1000, textFileTypes: { srt: 'application/x-subrip' } }
+    await assert.doesNotReject(() => validateUploadedFiles(req, { file: [file] }, options))
+    assert.equal(file.mimetype, 'application/x-subrip')
+  })
+
+  it('should not detect unregistered text file types', async () => {
     const req = makeReq()
     const files = { file: [{ mimetype: 'text/plain', originalFilename: 'subtitle.srt', size: 100, filepath: path.join(tmpDir, 'subtitle.srt') }] }
-    const options = { expectedFileTypes: ['application/x-subrip'], maxFileSize: 1000 }
+    const options = { expectedFileTypes: ['application/x-subrip'], maxFileSize: 1000, textFileTypes: {} }
+    await assert.rejects(() => validateUploadedFiles(req, files, options), { code: 'VALIDATION_FAILED' })
+  })
+
+  it('should accept wildcard and extension expected file types', async () => {
+    const req = makeReq()
+    const files = {
+      image: [{ mimetype: 'image/webp', originalFilename: 'a.webp', size: 100, filepath: path.join(tmpDir, 'test.txt') }],
+      subtitle: [{ mimetype: 'text/plain', originalFilename: 'subtitle.srt', size: 100, filepath: path.join(tmpDir, 'subtitle.srt') }]
+    }
+    const options = { expectedFileTypes: ['image/*', '.srt'], maxFileSize: 1000 }
     await assert.doesNotReject(() => validateUploadedFiles(req, files, options))
   })
 
+  describe('strictFileTypes', () => {
+    const options = { expectedFileTypes: ['image/*', 'application/x-subrip'], maxFileSize: 1000, strictFileTypes: true, textFileTypes: { srt: 'application/x-subrip' } }
+    const translateErrors = { translate: e => `${e.code}:${e.data.mismatch}` }
+    let pngPath
+
+    before(async () => {
+      pngPath = path.join(tmpDir, 'image.png')
+      await fs.writeFile(pngPath, Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'))
+    })
+
+    it('should accept files whose extension, declared type and contents agree', async () => {
+      const files = {
+        image: [{ mimetype: 'image/png', originalFilename: 'a.png', size: 100, filepath: pngPath }],
+        subtitle: [{ mimetype: 'text/plain', originalFilename: 'subtitle.srt', size: 100, filepath: path.join(tmpDir, 'subtitle.srt') }]
+      }
+      await assert.doesNotReject(() => validateUploadedFiles(makeReq(), files, options))
+    })
+
+    it('should inspect files even if the declared type is allowed', async () => {
+      const file = { mimetype: 'image/gif', originalFilename: 'a', size: 100, filepath: pngPath }
+      await assert.rejects(() => validateUploadedFiles(translateErrors, { file: [file] }, options), e => e.data.errors === 'FILE_TYPE_MISMATCH:mimetype')
+      assert.equal(file.mimetype, 'image/png')
+    })
+
+    it('should reject files whose extension disagrees with their contents', async () => {
+      const files = { file: [{ mimetype: 'image/png', originalFilename: 'a.gif', size: 100, filepath: pngPath }] }
+      await assert.rejects(() => validateUploadedFiles(translateErrors, files, options), e => e.data.errors === 'FILE_TYPE_MISMATCH:extension')
+    })
+
+    it('should reject text formats which contain something else', async () => {
+      const files = { file: [{ mimetype: 'text/plain', originalFilename: 'a.srt', size: 100, filepath: pngPath }] }
+      await assert.rejects(() => validateUploadedFiles(translateErrors, files, options), e => e.data.errors === 'FILE_TYPE_MISMATCH:extension')
+    })
+  })
+
   it('should handle empty files object', async () => {
     const req = makeReq()
     const files = {}
@@ -143,4 +215,69 @@ describe('validateUploadedFiles()', () => {
       (err) => err.code === 'VALIDATION_FAILED'
     )
   })
+
+  describe('validators', () => {
+    const scanner = {
+      name: 'fakescanner',
+      validate: async f => {
+        if ((await fs.readFile(f.filepath, 'utf8')).includes(VIRUS_SIGNATURE)) {
+          const e = new Error('VIRUS_DETECTED')
+          e.statusCode = 400
+          throw e
+        }
+      }
+    }
+
+    it('should pass files which validators accept', async () => {
+      const files = { file: [{ mimetype: 'image/png', originalFilename: 'a.png', size: 100, filepath: path.join(tmpDir, 'test.txt') }] }
+      const options = { expectedFileTypes: ['image/png'], maxFileSize: 1000 }
+      await assert.doesNotReject(() => validateUploadedFiles(makeReq(), files, options, [scanner]))
+    })
+
+    it('should include validator errors in VALIDATION_FAILED', async () => {
+      const files = { file: [{ mimetype: 'image/png', originalFilename: 'infected.png', size: 100, filepath: path.join(tmpDir, 'infected.txt') }] }
+      const options = { expectedFileTypes: ['image/png'], maxFileSize: 1000 }
+      await assert.rejects(
+        () => validateUploadedFiles(makeReq(), files, options, [scanner]),
+        (err) => err.code === 'VALIDATION_FAILED' && err.data.errors === 'VIRUS_DETECTED'
+      )
+    })
+
+    it('should wrap non-app errors in FILE_VALIDATOR_FAILED', async () => {
+      const files = { file: [{ mimetype: 'image/png', originalFilename: 'a.png', size: 100, filepath: path.join(tmpDir, 'test.txt') }] }
+      const options = { expectedFileTypes: ['image/png'], maxFileSize: 1000 }
+      const broken = { name: 'broken', validate: async () => { throw new Error('connection refused') } }
+      const req = { translate: e => `${e.code}:${e.data.validator}:${e.data.file}:${e.data.error}` }
+      await assert.rejects(
+        () => validateUploadedFiles(req, files, options, [broken]),
+        (err) => err.data.errors === 'FILE_VALIDATOR_FAILED:broken:a.png:connection refused'
+      )
+    })
+
+    it('should not run validators on files which fail the built-in checks', async () => {
+      const validate = mock.fn()
+      const files = { file: [{ mimetype: 'image/png', originalFilename: 'big.png', size: 5000, filepath: path.join(tmpDir, 'test.txt') }] }
+      const options = { expectedFileTypes: ['image/png'], maxFileSize: 1000 }
+      await assert.rejects(() => validateUploadedFiles(makeReq(), files, options, [{ name: 'v', validate }]))
+      assert.equal(validate.mock.callCount(), 0)
+    })
+
+    it('should only run validators against matching mime types', async () => {
+      const validate = mock.fn()
+      const files = { file: [{ mimetype: 'image/png', originalFilename: 'a.png', size: 100, filepath: path.join(tmpDir, 'test.txt') }] }
+      const options = { expectedFileTypes: ['image/png'], maxFileSize: 1000 }
+      await validateUploadedFiles(makeReq(), files, options, [{ name: 'v', validate, mimeTypes: ['image/svg+xml'] }])
+      assert.equal(validate.mock.callCount(), 0)
+    })
+
+    it('should pass the file, request and options to validators', async () => {
+      const validate = mock.fn()
+      const req = makeReq()
+      const file = { mimetype: 'image/png', originalFilename: 'a.png', size: 100, filepath: path.join(tmpDir, 'test.txt') }
+      const options = { expectedFileTypes: ['image/png'], maxFileSize: 1000 }
+      await validateUploadedFiles(req, { file: [file] }, options, [{ name: 'v', validate }])
+      assert.equal(validate.mock.calls[0].arguments[0], file)
+      assert.deepEqual(validate.mock.calls[0].arguments[1], { req, options })
+    })
+  })
 })